@@ -1,99 +1,632 @@
 import { createDeformationModule } from './localShapeDeformation.js';
 import { createCacheModule } from './cacheModule.js';
 import { createSnappingModule } from './createSnappingModule.js';
+import { createSceneModule } from './sceneModule.js';
+import { createHistoryModule } from './historyModule.js';
+import { createHeatmapModule } from './heatmapModule.js';
+import { createSubdivisionModule } from './subdivisionModule.js';
+import { createLatticeModule } from './latticeModule.js';
+import { createTimelineModule } from './timelineModule.js';
+import { createEventModule } from './eventModule.js';
+import { createCanvasRenderer, createSvgRenderer, createRecordingRenderer } from './renderers.js';
 
-const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
+// Either a canvas context, a renderer or plain viewport dimensions is enough to construct the module;
+// without ctx or renderer, drawing goes to a recording renderer so the module runs headless.
+// worker is an optional client from createTransformWorkerModule (workerModule.js) used by generateGridPointsAsync.
+const createAdaptiveGridModule = ({
+  ctx,
+  renderer: initialRenderer,
+  viewport,
+  parameters = {},
+  history: historyOptions = {},
+  worker = null
+}) => {
   // Import the deformation module
   const deformationModule = createDeformationModule();
   // Create a cache instance for managing various caches by name
   const cache = createCacheModule();
   // Instantiate the snapping module
   const snappingModule = createSnappingModule();
+  // Scene serialization and schema migrations
+  const sceneModule = createSceneModule();
+  // Undo/redo history for domain and parameter edits
+  const history = createHistoryModule(historyOptions);
+  // Palettes and legends for distortion overlays
+  const heatmapModule = createHeatmapModule();
+  // Base lattice layouts (square, hexagonal, triangular, polar)
+  const latticeModule = createLatticeModule();
+  // Keyframed domain properties
+  const timelineModule = createTimelineModule({ cubicBezier: deformationModule.cubicBezierEasing });
+  // Change notifications for UI and dependent modules
+  const events = createEventModule([
+    'domainAdded',
+    'domainRemoved',
+    'domainUpdated',
+    'parametersChanged',
+    'viewportChanged',
+    'beforeRender',
+    'afterRender'
+  ]);
+  // Quadtree refinement of cells in strongly curved regions
+  const subdivisionModule = createSubdivisionModule({
+    transformPoint: (point) => transformPoint(point),
+    analyzeDeformationAt: (point) => analyzeDeformationAt(point)
+  });
+  // Drawing backend: canvas when a context is given, otherwise whatever was passed or a headless recorder
+  let renderer = initialRenderer || (ctx ? createCanvasRenderer(ctx) : createRecordingRenderer());
+
+  // Viewport from explicit dimensions, or from the renderer's backing surface
+  const initialViewport = viewport || renderer.getSize();
+  if (!initialViewport) {
+    throw new Error('AdaptiveGrid: provide a canvas context, a renderer with a surface, or viewport dimensions');
+  }
 
   // Default parameters
   const defaultParams = {
     grid: {
       size: 20,
       baseResolution: 10,
-      baseCellCount: 100,
       showGrid: true,
       opacity: 0.7,
       color: '#333333',
       snapToGrid: true,
-      showDomains: false // Optional flag to display transformation domains
+      showDomains: false, // Optional flag to display transformation domains
+      lattice: 'square', // Base lattice: square, hexagonal, triangular or polar
+      polarCenter: { x: 0, y: 0 }, // Center of the polar lattice's rings and spokes
+      polarSpokes: 24, // Number of spokes in the polar lattice
+      adaptiveSubdivision: false, // Refine cells where the transform bends them (square lattice only)
+      subdivisionTolerance: 0.5, // Allowed deviation (px) of a transformed edge from a straight line
+      maxSubdivisionDepth: 3, // Each level halves the cell size
+      minSubdivisionCellSize: 10, // Smallest on-screen cell size (px) adaptive subdivision may produce
+      subdivisionJacobianTolerance: null // Also split when the Jacobian determinant varies more than this (relative)
     },
     transformations: {
-      blendMode: 'smooth', // 'sharp', 'linear', 'smooth'
+      blendMode: 'smooth', // Default falloff for new domains; any key of blendingFunctions
       defaultRadius: 150,
+      compositionMode: 'normalized', // 'normalized', 'additive', 'max', 'priority' or 'sequential'
       maxActiveDomains: 5, // Limit active transformation domains
-      regularizationFactor: 0.001 // For singularity handling
+      regularizationFactor: 0.001, // For singularity handling
+      inverseTolerance: 0.001, // Residual (world units) at which inverse transforms count as converged
+      inverseMaxIterations: 50 // Newton iteration budget for inverse transforms
+    },
+    overlay: {
+      field: null, // null, 'areaRatio', 'angleDistortion', 'domainWeight' or 'gridSize'
+      palette: 'viridis', // Any palette known to the heatmap module
+      opacity: 0.6,
+      domainId: null, // For 'domainWeight': a single domain, or null for the combined weight
+      min: null, // Fixed color range bounds; null picks them from the data
+      max: null,
+      showLegend: true
+    }
+  };
+
+  const assertCompositionMode = (mode) => {
+    if (mode !== undefined && !deformationModule.COMPOSITION_MODES.includes(mode)) {
+      throw new Error(`AdaptiveGrid: unknown composition mode "${mode}"`);
     }
   };
 
   // Merge with provided parameters
+  assertCompositionMode(parameters.transformations?.compositionMode);
   const mergedParams = {
     grid: { ...defaultParams.grid, ...(parameters.grid || {}) },
-    transformations: { ...defaultParams.transformations, ...(parameters.transformations || {}) }
+    transformations: { ...defaultParams.transformations, ...(parameters.transformations || {}) },
+    overlay: { ...defaultParams.overlay, ...(parameters.overlay || {}) }
   };
 
   // Alias for deformation module constants
   const DOMAIN_TYPES = deformationModule.DOMAIN_TYPES;
 
+  // Edit handle size in screen pixels; converted to world units through the zoom level
+  const HANDLE_SIZE = 6;
+  // Smallest radius an interactive resize can produce, in world units
+  const MIN_DOMAIN_RADIUS = 5;
+
+  // Overlay colors for domain outlines, by domain type
+  const DOMAIN_COLORS = {
+    [DOMAIN_TYPES.SPHERICAL]: 'rgba(255, 0, 0, 0.5)',
+    [DOMAIN_TYPES.CYLINDRICAL]: 'rgba(0, 255, 0, 0.5)',
+    [DOMAIN_TYPES.CONIC]: 'rgba(0, 0, 255, 0.5)'
+  };
+  const DEFAULT_DOMAIN_COLOR = 'rgba(128, 128, 128, 0.5)';
+
+  const getDomainColor = (type) => DOMAIN_COLORS[type] || DEFAULT_DOMAIN_COLOR;
+
   // Internal state to track grid and transformation properties
   const state = {
     // Grid state
     viewportDimensions: {
-      width: ctx.canvas.width,
-      height: ctx.canvas.height
+      width: initialViewport.width,
+      height: initialViewport.height
     },
     zoomLevel: 1,
     panOffset: { x: 0, y: 0 },
     
     // Transformation domains
-    transformationDomains: [] // Stores active transformation domains
+    transformationDomains: [], // Stores active transformation domains
+    selectedDomainId: null, // Domain highlighted for interactive editing
+    time: 0, // Current animation time in seconds
+    domainRevision: 0 // Bumped on every change to the domain set; part of the grid cell cache key
+  };
+
+  // Incremental regeneration: fullRevision is the last revision that invalidated everything,
+  // dirtyLog holds { revision, regions } for each regional change after it
+  const regeneration = {
+    fullRevision: 0,
+    dirtyLog: []
+  };
+  const MAX_DIRTY_LOG = 256;
+
+  // Typed-array lattice mesh and the domain revision its transformed buffer reflects
+  const meshState = {
+    layoutKey: null,
+    revision: -1,
+    mesh: null
+  };
+
+  // Cell objects handed out by generateGridCells, reused while their vertices stay clean
+  const cellAdapter = {
+    layoutKey: null,
+    revision: -1,
+    cells: null
   };
 
+  // Cache and regeneration counters reported by getStats
+  const createStats = () => ({
+    transformHits: 0,
+    transformMisses: 0,
+    blendingHits: 0,
+    blendingMisses: 0,
+    cellCacheHits: 0,
+    cellCacheMisses: 0,
+    invalidatedPoints: 0,
+    fullInvalidations: 0,
+    recomputedVertices: 0,
+    recomputedCells: 0,
+    reusedCells: 0,
+    lastRegeneration: { recomputedVertices: 0, recomputedCells: 0, reusedCells: 0 }
+  });
+  let stats = createStats();
+
+  // Optional off-thread transform pipeline
+  let transformWorker = worker;
+
+  // Scheduled animation frame while playing, and the options playback was started with
+  const playback = {
+    frameHandle: null,
+    options: null
+  };
+
+  // Last id handed out by createDomainId
+  let lastDomainId = 0;
+
+  // Properties every domain type accepts in updateTransformationDomain
+  const COMMON_DOMAIN_FIELDS = ['type', 'center', 'radius', 'amplitude', 'options', 'blendMode', 'falloff', 'priority'];
+
   // ------------------- TRANSFORMATION DOMAIN MANAGEMENT -------------------
 
-  // Updated transformation domain creation using the deformation module’s factory method
-  const createTransformationDomain = (center, radius, type = DOMAIN_TYPES.SPHERICAL, options = {}) => {
-    // Enforce maximum number of active domains
-    if (state.transformationDomains.length >= mergedParams.transformations.maxActiveDomains) {
-      // Remove the oldest domain
-      state.transformationDomains.shift();
+  // Clear the caches that depend on the domain set
+  const invalidateDomainCaches = () => {
+    cache.clear("transformationCache");
+    cache.clear("blendingCache");
+    cache.clear("gridCellCache");
+    state.domainRevision++;
+    regeneration.fullRevision = state.domainRevision;
+    regeneration.dirtyLog = [];
+    stats.fullInvalidations++;
+    // Jobs in flight were computed for the old domain set
+    transformWorker?.cancelAll();
+  };
+
+  // Whether a point lies in any of the given bounding boxes
+  const isInRegions = (point, regions) => regions.some(region =>
+    point.x >= region.minX && point.x <= region.maxX && point.y >= region.minY && point.y <= region.maxY
+  );
+
+  // Drop cached results inside the given domain bounds (see Domain.getBounds) and keep the rest
+  const invalidateDomainRegions = (regions) => {
+    // Sequential composition feeds moved points into later domains, so no region is safe to keep
+    if (mergedParams.transformations.compositionMode === 'sequential') {
+      invalidateDomainCaches();
+      return;
     }
     
+    // Point cache keys are "x,y" in original space
+    const isDirtyKey = (key) => {
+      const [x, y] = key.split(',').map(Number);
+      return isInRegions({ x, y }, regions);
+    };
+    stats.invalidatedPoints += cache.removeWhere("transformationCache", isDirtyKey);
+    cache.removeWhere("blendingCache", isDirtyKey);
+    cache.clear("gridCellCache");
+    
+    state.domainRevision++;
+    regeneration.dirtyLog.push({ revision: state.domainRevision, regions });
+    if (regeneration.dirtyLog.length > MAX_DIRTY_LOG) {
+      regeneration.dirtyLog.shift();
+    }
+    transformWorker?.cancelAll();
+  };
+
+  // Regions changed since a revision, or null when everything has to be recomputed
+  const dirtyRegionsSince = (revision) => {
+    if (revision < regeneration.fullRevision) {
+      return null;
+    }
+    const entries = regeneration.dirtyLog.filter(entry => entry.revision > revision);
+    // The log was trimmed past this revision
+    if (entries.length < state.domainRevision - revision) {
+      return null;
+    }
+    return entries.flatMap(entry => entry.regions);
+  };
+
+  // Emit domainRemoved and domainAdded for the difference between two domain lists
+  const announceDomainChanges = (previous, domains) => {
+    previous.filter(domain => !domains.includes(domain))
+      .forEach(domain => events.emit('domainRemoved', { domain, id: domain.id }));
+    domains.filter(domain => !previous.includes(domain))
+      .forEach(domain => events.emit('domainAdded', { domain, id: domain.id }));
+  };
+
+  // Take the timeline tracks of domains out, returning them so undo can put them back
+  const detachDomainTracks = (domainIds) => domainIds.flatMap(domainId => {
+    const tracks = timelineModule.getAnimatedProperties(domainId)
+      .map(property => ({ domainId, property, keyframes: timelineModule.getKeyframes(domainId, property) }));
+    timelineModule.removeTrack(domainId);
+    return tracks;
+  });
+
+  const attachDomainTracks = (tracks) => {
+    tracks.forEach(({ domainId, property, keyframes }) => timelineModule.setKeyframes(domainId, property, keyframes));
+  };
+
+  // Replace the domain list and invalidate what the added and removed domains covered
+  const setDomains = (domains) => {
+    const previous = state.transformationDomains;
+    state.transformationDomains = domains;
+    
+    const changed = [
+      ...previous.filter(domain => !domains.includes(domain)),
+      ...domains.filter(domain => !previous.includes(domain))
+    ];
+    invalidateDomainRegions(changed.map(domain => domain.getBounds()));
+    announceDomainChanges(previous, domains);
+  };
+
+  // Emit domainUpdated with { [property]: { previous, current } } for the values that differ
+  const announceDomainUpdate = (domain, previous, current) => {
+    const changes = Object.fromEntries(
+      Object.keys(current)
+        .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(current[key]))
+        .map(key => [key, { previous: previous[key], current: current[key] }])
+    );
+    if (Object.keys(changes).length > 0) {
+      events.emit('domainUpdated', { domain, id: domain.id, changes });
+    }
+  };
+
+  // Domains that solve linear systems (point-pair warps) use the grid-wide regularization factor
+  const syncRegularization = (domains = state.transformationDomains) => {
+    domains.forEach(domain => {
+      if ('regularization' in domain) {
+        domain.regularization = mergedParams.transformations.regularizationFactor;
+      }
+    });
+  };
+
+  // Timestamp-like domain id that is never handed out twice, even within one millisecond
+  const createDomainId = () => {
+    lastDomainId = Math.max(lastDomainId + 1, Date.now());
+    return lastDomainId;
+  };
+
+  // Updated transformation domain creation using the deformation module’s factory method
+  const createTransformationDomain = (center, radius, type = DOMAIN_TYPES.SPHERICAL, options = {}) => {
     // Use the factory method from the deformation module to create the domain
+    // Domains fall back to the grid-wide blend mode unless options choose their own falloff
     const domain = deformationModule.createDomain(type, {
       center: { ...center },
       radius,
+      blendMode: options.blendMode ?? mergedParams.transformations.blendMode,
       options: { ...options }
     });
     
-    // Optionally assign an id and created timestamp for internal tracking
-    domain.id = Date.now();
+    // Assign a unique id and created timestamp for internal tracking
+    domain.id = createDomainId();
     domain.created = Date.now();
+    syncRegularization([domain]);
     
-    state.transformationDomains.push(domain);
+    const previous = state.transformationDomains;
+    // Enforce maximum number of active domains by evicting the oldest ones
+    const overflow = Math.max(0, previous.length + 1 - mergedParams.transformations.maxActiveDomains);
+    const next = [...previous.slice(overflow), domain];
+    const evictedIds = previous.slice(0, overflow).map(evicted => evicted.id);
     
-    // Clear caches when adding a new domain
-    cache.clear("transformationCache");
-    cache.clear("blendingCache");
+    setDomains(next);
+    let evictedTracks = detachDomainTracks(evictedIds);
+    history.record({
+      label: `Create ${type} domain`,
+      undo: () => {
+        setDomains(previous);
+        attachDomainTracks(evictedTracks);
+      },
+      redo: () => {
+        setDomains(next);
+        evictedTracks = detachDomainTracks(evictedIds);
+      }
+    });
+    
+    return domain;
+  };
+
+  // Look up a domain by id
+  const getTransformationDomain = (domainId) => {
+    return state.transformationDomains.find(domain => domain.id === domainId) || null;
+  };
+
+  // Set a domain's center and radius in place and invalidate its old and new regions
+  const setDomainGeometry = (domain, { center, radius }) => {
+    const previousBounds = domain.getBounds();
+    const previous = { center: { ...domain.center }, radius: domain.radius };
+    domain.center = { ...center };
+    domain.radius = radius;
+    invalidateDomainRegions([previousBounds, domain.getBounds()]);
+    announceDomainUpdate(domain, previous, { center: { ...domain.center }, radius });
+  };
+
+  // Record an in-place geometry change so it can be undone
+  const recordGeometryChange = (domain, label, previous) => {
+    const next = { center: { ...domain.center }, radius: domain.radius };
+    history.record({
+      label,
+      undo: () => setDomainGeometry(domain, previous),
+      redo: () => setDomainGeometry(domain, next)
+    });
+  };
+
+  // Move a domain's center to a new world position
+  const moveTransformationDomain = (domainId, center) => {
+    const domain = getTransformationDomain(domainId);
+    if (!domain) {
+      return null;
+    }
+    
+    const previous = { center: { ...domain.center }, radius: domain.radius };
+    setDomainGeometry(domain, { center, radius: domain.radius });
+    recordGeometryChange(domain, 'Move domain', previous);
+    return domain;
+  };
+
+  // Change a domain's radius, keeping it above a minimal size
+  const resizeTransformationDomain = (domainId, radius) => {
+    const domain = getTransformationDomain(domainId);
+    if (!domain) {
+      return null;
+    }
     
-    console.info("[AdaptiveGrid] Created transformation domain:", { type, center, radius });
+    const previous = { center: { ...domain.center }, radius: domain.radius };
+    setDomainGeometry(domain, { center: domain.center, radius: Math.max(MIN_DOMAIN_RADIUS, radius) });
+    recordGeometryChange(domain, 'Resize domain', previous);
     return domain;
   };
 
+  // Check an update patch against the domain type it will produce; throws on the first problem
+  const validateDomainPatch = (candidate, patch) => {
+    const allowed = [...COMMON_DOMAIN_FIELDS, ...candidate.constructor.serializableFields];
+    // A default instance tells which kind of value each type-specific field holds
+    const defaults = deformationModule.createDomain(candidate.type, {});
+    Object.entries(patch).forEach(([key, value]) => {
+      if (!allowed.includes(key)) {
+        throw new Error(`AdaptiveGrid: "${key}" is not a property of ${candidate.type} domains`);
+      }
+      if (key === 'center' && !(Number.isFinite(value?.x) && Number.isFinite(value?.y))) {
+        throw new Error('AdaptiveGrid: domain center needs finite x and y');
+      }
+      if (key === 'radius' && !(Number.isFinite(value) && value > 0)) {
+        throw new Error('AdaptiveGrid: domain radius must be a positive number');
+      }
+      if ((key === 'options' || key === 'falloff') && value !== null && typeof value !== 'object') {
+        throw new Error(`AdaptiveGrid: domain ${key} must be an object`);
+      }
+      // Type-specific fields keep the kind of value their type defines (numbers, mostly)
+      if (candidate.constructor.serializableFields.includes(key) && defaults[key] !== null &&
+          typeof value !== typeof defaults[key]) {
+        throw new Error(`AdaptiveGrid: domain property "${key}" must be a ${typeof defaults[key]}`);
+      }
+      if (['amplitude', 'priority'].includes(key) && typeof value !== 'number') {
+        throw new Error(`AdaptiveGrid: domain property "${key}" must be a number`);
+      }
+      if (typeof value === 'number' && !Number.isFinite(value)) {
+        throw new Error(`AdaptiveGrid: domain property "${key}" must be finite`);
+      }
+    });
+  };
+
+  // Bring a domain to a serialized configuration. The same type is updated in place; a new type
+  // replaces the instance at the same position, keeping id and creation time.
+  const applyDomainConfig = (domainId, config) => {
+    const domain = getTransformationDomain(domainId);
+    const previous = domain.serialize();
+    const previousBounds = domain.getBounds();
+    const source = deformationModule.createDomain(config.type, config);
+    
+    let target = domain;
+    if (source.type === domain.type) {
+      [...COMMON_DOMAIN_FIELDS, ...source.constructor.serializableFields].forEach(key => {
+        domain[key] = source[key];
+      });
+      domain.center = { ...source.center };
+    } else {
+      target = source;
+      target.center = { ...source.center };
+      target.id = domain.id;
+      target.created = domain.created;
+      state.transformationDomains = state.transformationDomains.map(item => (item === domain ? target : item));
+    }
+    // A domain that became an RBF warp takes the grid-wide regularization like new ones do
+    syncRegularization([target]);
+    
+    invalidateDomainRegions([previousBounds, target.getBounds()]);
+    announceDomainUpdate(target, previous, target.serialize());
+    return target;
+  };
+
+  /**
+   * Change properties of an existing domain without recreating it, e.g.
+   * { radius: 80 }, { seed: 7 }, { options: { eccentricity: 0.8 } } or { type: 'conic' }.
+   * Options are merged; a type change keeps center, radius and the common settings.
+   * Animation tracks of properties the new type does not have are removed.
+   * @param {*} domainId - Domain identifier
+   * @param {Object} patch - Common fields and fields specific to the (new) domain type
+   * @returns {Object|null} The updated domain (a new instance after a type change), or null if there is no such domain
+   */
+  const updateTransformationDomain = (domainId, patch) => {
+    const domain = getTransformationDomain(domainId);
+    if (!domain) {
+      return null;
+    }
+    
+    const previous = domain.serialize();
+    const { options = {}, ...fields } = patch;
+    const next = {
+      ...previous,
+      ...fields,
+      options: { ...previous.options, ...options }
+    };
+    // Top-level settings win over the copies serialize() keeps in options
+    ['blendMode', 'falloff', 'priority'].forEach(key => {
+      if (key in fields) {
+        delete next.options[key];
+      }
+    });
+    
+    // Building the new configuration first rejects bad types, blend modes and values before anything changes
+    const candidate = deformationModule.createDomain(next.type, next);
+    validateDomainPatch(candidate, patch);
+    if (JSON.stringify(candidate.serialize()) === JSON.stringify(previous)) {
+      return domain;
+    }
+    
+    const staleTracks = timelineModule.getAnimatedProperties(domainId)
+      .filter(property => typeof getDomainProperty(candidate, property) !== 'number');
+    
+    let updated = domain;
+    history.transaction('Update domain', () => {
+      staleTracks.forEach(property => setDomainKeyframes(domainId, property, []));
+      updated = applyDomainConfig(domainId, next);
+      history.record({
+        label: 'Update domain',
+        undo: () => applyDomainConfig(domainId, previous),
+        redo: () => applyDomainConfig(domainId, next)
+      });
+    });
+    return updated;
+  };
+
+  // Domain with a free-form deformation control lattice, or an error
+  const getLatticeDomain = (domainId) => {
+    const domain = getTransformationDomain(domainId);
+    if (!domain || typeof domain.getControlLattice !== 'function') {
+      throw new Error(`AdaptiveGrid: domain ${domainId} has no control lattice`);
+    }
+    return domain;
+  };
+
+  // Domain with source/target point pairs (RBF warp), or an error
+  const getPairDomain = (domainId) => {
+    const domain = getTransformationDomain(domainId);
+    if (!domain || typeof domain.getPairs !== 'function') {
+      throw new Error(`AdaptiveGrid: domain ${domainId} has no point pairs`);
+    }
+    return domain;
+  };
+
+  // Run an in-place edit of a domain's own data as one undoable step, invalidating the domain's region
+  const editDomain = (domain, label, edit) => {
+    const previous = domain.serialize();
+    const result = edit(domain);
+    const next = domain.serialize();
+    
+    invalidateDomainRegions([domain.getBounds()]);
+    announceDomainUpdate(domain, previous, next);
+    history.record({
+      label,
+      undo: () => applyDomainConfig(domain.id, previous),
+      redo: () => applyDomainConfig(domain.id, next)
+    });
+    return result;
+  };
+
+  // Control point positions of a lattice domain, one array per lattice row
+  const getDomainControlPoints = (domainId) => getLatticeDomain(domainId).getControlLattice();
+
+  // Move one control point of a lattice domain to a world position
+  const setDomainControlPoint = (domainId, column, row, point) => editDomain(
+    getLatticeDomain(domainId),
+    'Move control point',
+    domain => {
+      domain.setControlPoint(column, row, point);
+      return domain;
+    }
+  );
+
+  // Put every control point of a lattice domain back at rest
+  const resetDomainControlPoints = (domainId) => editDomain(
+    getLatticeDomain(domainId),
+    'Reset control lattice',
+    domain => {
+      domain.resetControlPoints();
+      return domain;
+    }
+  );
+
+  // Source/target pairs of a point-pair warp domain
+  const getDomainPointPairs = (domainId) => getPairDomain(domainId).getPairs();
+
+  // Add a "move source to target" pair; returns its index
+  const addDomainPointPair = (domainId, source, target) => editDomain(
+    getPairDomain(domainId),
+    'Add point pair',
+    domain => domain.addPair(source, target)
+  );
+
+  // Change the source and/or target of a pair, e.g. { target } while dragging
+  const setDomainPointPair = (domainId, index, pair) => editDomain(
+    getPairDomain(domainId),
+    'Move point pair',
+    domain => domain.setPair(index, pair)
+  );
+
+  const removeDomainPointPair = (domainId, index) => editDomain(
+    getPairDomain(domainId),
+    'Remove point pair',
+    domain => domain.removePair(index)
+  );
+
   // Remove a transformation domain
   const removeTransformationDomain = (domainId) => {
-    const initialLength = state.transformationDomains.length;
-    state.transformationDomains = state.transformationDomains.filter(domain => domain.id !== domainId);
-    
-    if (initialLength !== state.transformationDomains.length) {
-      // Clear caches when removing domains
-      cache.clear("transformationCache");
-      cache.clear("blendingCache");
-      console.info("[AdaptiveGrid] Removed transformation domain:", { domainId });
+    const previous = state.transformationDomains;
+    const next = previous.filter(domain => domain.id !== domainId);
+    
+    if (previous.length !== next.length) {
+      if (state.selectedDomainId === domainId) {
+        state.selectedDomainId = null;
+      }
+      setDomains(next);
+      // Tracks of a removed domain would still stretch the animation duration
+      let tracks = detachDomainTracks([domainId]);
+      history.record({
+        label: 'Remove domain',
+        undo: () => {
+          setDomains(previous);
+          attachDomainTracks(tracks);
+        },
+        redo: () => {
+          setDomains(next);
+          tracks = detachDomainTracks([domainId]);
+        }
+      });
       return true;
     }
     
@@ -102,242 +635,793 @@ const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
 
   // Clear all transformation domains
   const clearTransformationDomains = () => {
-    state.transformationDomains = [];
-    cache.clear("transformationCache");
-    cache.clear("blendingCache");
-    console.info("[AdaptiveGrid] Cleared all transformation domains");
+    const previous = state.transformationDomains;
+    setDomains([]);
+    if (previous.length > 0) {
+      history.record({
+        label: 'Clear domains',
+        undo: () => setDomains(previous),
+        redo: () => setDomains([])
+      });
+    }
+  };
+
+  // ------------------- DOMAIN HIT TESTING & SELECTION -------------------
+
+  // World position of a domain's resize handle (on the outline, to the right of the center)
+  const getResizeHandlePosition = (domain) => ({
+    x: domain.center.x + domain.radius,
+    y: domain.center.y
+  });
+
+  // Lattice domains act on their bounding box (getBounds); every other domain on its disk
+  const hasBoxOutline = (domain) => typeof domain.getControlLattice === 'function';
+
+  const isInsideOutline = (domain, point, worldTolerance) => {
+    if (hasBoxOutline(domain)) {
+      const { minX, minY, maxX, maxY } = domain.getBounds();
+      return point.x >= minX - worldTolerance && point.x <= maxX + worldTolerance &&
+        point.y >= minY - worldTolerance && point.y <= maxY + worldTolerance;
+    }
+    return Math.hypot(point.x - domain.center.x, point.y - domain.center.y) <= domain.radius + worldTolerance;
+  };
+
+  // Topmost domain whose outline contains the world-space point
+  const getDomainAtPoint = (point, tolerance = HANDLE_SIZE) => {
+    const worldTolerance = tolerance / state.zoomLevel;
+    
+    // Later domains are drawn last, so search from the end
+    for (let i = state.transformationDomains.length - 1; i >= 0; i--) {
+      const domain = state.transformationDomains[i];
+      if (isInsideOutline(domain, point, worldTolerance)) {
+        return domain;
+      }
+    }
+    return null;
+  };
+
+  // Control point or pair target of the selected domain under the world-space point
+  const getPointHandleAtPoint = (point, worldTolerance) => {
+    const domain = getSelectedDomain();
+    const isNear = (control) => Math.hypot(point.x - control.x, point.y - control.y) <= worldTolerance;
+    
+    if (domain && typeof domain.getControlLattice === 'function') {
+      for (const [row, points] of domain.getControlLattice().entries()) {
+        const column = points.findIndex(isNear);
+        if (column !== -1) {
+          return { domain, handle: 'control', column, row };
+        }
+      }
+    }
+    if (domain && typeof domain.getPairs === 'function') {
+      const index = domain.getPairs().findIndex(pair => isNear(pair.target));
+      if (index !== -1) {
+        return { domain, handle: 'target', index };
+      }
+    }
+    return null;
+  };
+
+  // Edit handle under the world-space point: { domain, handle: 'move' | 'resize' },
+  // { domain, handle: 'control', column, row } for control points of a selected lattice domain,
+  // or { domain, handle: 'target', index } for pair targets of a selected point-pair domain
+  const getHandleAtPoint = (point, tolerance = HANDLE_SIZE) => {
+    const worldTolerance = tolerance / state.zoomLevel;
+    
+    const pointHandle = getPointHandleAtPoint(point, worldTolerance);
+    if (pointHandle) {
+      return pointHandle;
+    }
+    
+    // Prefer handles of the selected domain when handles overlap
+    const candidates = [...state.transformationDomains].reverse().sort((a, b) => 
+      (b.id === state.selectedDomainId) - (a.id === state.selectedDomainId)
+    );
+    
+    for (const domain of candidates) {
+      const resizeHandle = getResizeHandlePosition(domain);
+      if (Math.hypot(point.x - resizeHandle.x, point.y - resizeHandle.y) <= worldTolerance) {
+        return { domain, handle: 'resize' };
+      }
+      if (Math.hypot(point.x - domain.center.x, point.y - domain.center.y) <= worldTolerance) {
+        return { domain, handle: 'move' };
+      }
+    }
+    
+    // Anywhere else inside a domain moves it
+    const domain = getDomainAtPoint(point, 0);
+    return domain ? { domain, handle: 'move' } : null;
+  };
+
+  // Select a domain by id (or null to clear the selection)
+  const selectDomain = (domainId) => {
+    state.selectedDomainId = domainId !== null && getTransformationDomain(domainId) ? domainId : null;
+    return state.selectedDomainId;
+  };
+
+  const getSelectedDomain = () => {
+    return state.selectedDomainId !== null ? getTransformationDomain(state.selectedDomainId) : null;
   };
 
   // ------------------- GRID TRANSFORMATION LOGIC -------------------
 
-  // New blending function using each domain's weightAt() method
+  // Effective per-domain weights under the active composition mode
   const calculateBlendingWeights = (point) => {
     const cacheKey = `${point.x},${point.y}`;
     if (cache.has("blendingCache", cacheKey)) {
+      stats.blendingHits++;
       return cache.get("blendingCache", cacheKey);
     }
+    stats.blendingMisses++;
 
-    // Compute each domain's contribution
-    const transformWeights = state.transformationDomains.map(domain => ({
-      domain,
-      weight: domain.weightAt(point)
-    }));
-
-    // Compute the remaining flat weight so total influence sums to 1
-    const totalWeight = transformWeights.reduce((sum, { weight }) => sum + weight, 0);
-    const flatWeight = Math.max(0, 1 - totalWeight);
-
-    const result = { transformWeights, flatWeight };
+    const result = deformationModule.calculateCompositionWeights(
+      point,
+      state.transformationDomains,
+      mergedParams.transformations.compositionMode
+    );
     cache.set("blendingCache", cacheKey, result);
     return result;
   };
 
+  // Uncached forward transform, for bulk paths that keep their own storage
+  const evaluateTransform = (point) => deformationModule.composeTransform(
+    point,
+    state.transformationDomains,
+    mergedParams.transformations.compositionMode
+  );
+
   const transformPoint = (point) => {
     const cacheKey = `${point.x},${point.y}`;
     if (cache.has("transformationCache", cacheKey)) {
+      stats.transformHits++;
       return cache.get("transformationCache", cacheKey);
     }
+    stats.transformMisses++;
     
-    const { transformWeights, flatWeight } = calculateBlendingWeights(point);
-    
-    // If fully in flat space, simply return the original point.
-    if (flatWeight === 1) {
-      const flatPoint = { ...point };
-      cache.set("transformationCache", cacheKey, flatPoint);
-      return flatPoint;
-    }
-    
-    // Blend: start with flat contribution.
-    let resultX = flatWeight * point.x;
-    let resultY = flatWeight * point.y;
+    const mode = mergedParams.transformations.compositionMode;
+    // Sequential composition evaluates weights along the way, so cached weights do not apply
+    const weights = mode === 'sequential' ? null : calculateBlendingWeights(point);
+    const result = deformationModule.composeTransform(point, state.transformationDomains, mode, weights);
     
-    // Add each domain's contribution.
-    transformWeights.forEach(({ domain, weight }) => {
-      if (weight > 0) {
-        // Using the domain's own transform() method.
-        const transformed = domain.transform(point, 1);
-        resultX += weight * transformed.x;
-        resultY += weight * transformed.y;
-      }
-    });
-    
-    const result = { x: resultX, y: resultY };
     cache.set("transformationCache", cacheKey, result);
     return result;
   };
 
-  // Inverse transform a point from transformed space to original space
-  const inverseTransformPoint = (transformedPoint) => {
-    return deformationModule.inverseTransformPointWithDomains(
+  // Inverse transform a point from transformed space to original space, using the same composition.
+  // The result also reports { converged, iterations, residual }.
+  const inverseTransformPoint = (transformedPoint, options = {}) => {
+    return deformationModule.inverseComposeTransform(
       transformedPoint, 
       state.transformationDomains, 
-      mergedParams.transformations.blendMode
+      mergedParams.transformations.compositionMode,
+      {
+        tolerance: mergedParams.transformations.inverseTolerance,
+        maxIterations: mergedParams.transformations.inverseMaxIterations,
+        ...options
+      }
     );
   };
 
-  // ------------------- GRID GENERATION AND RENDERING -------------------
+  // ------------------- DEFORMATION ANALYSIS -------------------
 
-  // Calculate the effective grid size based on transformations
-  const calculateEffectiveGridSize = (point) => {
-    return deformationModule.calculateEffectiveGridSize(
-      point, 
-      state.transformationDomains, 
-      mergedParams.grid.size, 
-      mergedParams.transformations.blendMode
+  // Jacobian, determinant and principal stretches of the composed transform at a world point
+  const analyzeDeformationAt = (point) => {
+    return deformationModule.analyzeDeformation(
+      point,
+      state.transformationDomains,
+      mergedParams.transformations.compositionMode
     );
   };
 
-  // Generate grid points based on viewport and transformations
-  const generateGridPoints = () => {
+  // Grid-wide fold-over and area distortion report over the cells from generateGridCells
+  const getDistortionReport = () => {
+    const cells = generateGridCells();
+    const invertedCells = [];
+    let minAreaRatio = Infinity;
+    let maxAreaRatio = -Infinity;
+    let totalAreaRatio = 0;
+    
+    cells.forEach((cell, index) => {
+      const { areaRatio, inverted } = deformationModule.analyzeQuad(cell.original, cell.transformed);
+      minAreaRatio = Math.min(minAreaRatio, areaRatio);
+      maxAreaRatio = Math.max(maxAreaRatio, areaRatio);
+      totalAreaRatio += areaRatio;
+      
+      if (inverted) {
+        invertedCells.push({ index, areaRatio, original: cell.original, transformed: cell.transformed });
+      }
+    });
+    
+    return {
+      cellCount: cells.length,
+      invertedCount: invertedCells.length,
+      invertedCells,
+      minAreaRatio: cells.length > 0 ? minAreaRatio : 1,
+      maxAreaRatio: cells.length > 0 ? maxAreaRatio : 1,
+      meanAreaRatio: cells.length > 0 ? totalAreaRatio / cells.length : 1
+    };
+  };
+
+  // ------------------- DISTORTION OVERLAY FIELDS -------------------
+
+  // Largest deviation (degrees) of a transformed quad's corner angles from the original ones
+  const cornerAngleDistortion = (original, transformed) => {
+    const cornerAngle = (points, i) => {
+      const p = points[i];
+      const next = points[(i + 1) % points.length];
+      const previous = points[(i + points.length - 1) % points.length];
+      const ax = next.x - p.x;
+      const ay = next.y - p.y;
+      const bx = previous.x - p.x;
+      const by = previous.y - p.y;
+      return Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+    };
+    
+    let maxDeviation = 0;
+    for (let i = 0; i < original.length; i++) {
+      const deviation = Math.abs(cornerAngle(transformed, i) - cornerAngle(original, i));
+      maxDeviation = Math.max(maxDeviation, Math.min(deviation, 2 * Math.PI - deviation));
+    }
+    return maxDeviation * 180 / Math.PI;
+  };
+
+  // Original-space centroid of a cell
+  const cellCenter = (cell) => ({
+    x: cell.original.reduce((sum, p) => sum + p.x, 0) / cell.original.length,
+    y: cell.original.reduce((sum, p) => sum + p.y, 0) / cell.original.length
+  });
+
+  // Scalar field evaluators, one value per cell
+  const overlayFields = {
+    areaRatio: {
+      label: 'Area ratio',
+      evaluate: (cell) => deformationModule.analyzeQuad(cell.original, cell.transformed).areaRatio
+    },
+    angleDistortion: {
+      label: 'Angle distortion (deg)',
+      evaluate: (cell) => cornerAngleDistortion(cell.original, cell.transformed)
+    },
+    domainWeight: {
+      label: 'Domain weight',
+      evaluate: (cell, { domainId }) => {
+        const { transformWeights } = calculateBlendingWeights(cellCenter(cell));
+        return transformWeights
+          .filter(({ domain }) => domainId === null || domain.id === domainId)
+          .reduce((sum, { weight }) => sum + weight, 0);
+      }
+    },
+    gridSize: {
+      label: 'Effective grid size',
+      evaluate: (cell) => calculateEffectiveGridSize(cellCenter(cell))
+    }
+  };
+
+  // Per-cell values of an overlay field, aligned with generateGridCells()
+  const computeOverlayField = (field = mergedParams.overlay.field, options = {}) => {
+    const evaluator = overlayFields[field];
+    if (!evaluator) {
+      throw new Error(`AdaptiveGrid: unknown overlay field "${field}"`);
+    }
+    const settings = { domainId: mergedParams.overlay.domainId, ...options };
+    return generateGridCells().map(cell => evaluator.evaluate(cell, settings));
+  };
+
+  // ------------------- VIEW TRANSFORM -------------------
+
+  // World space is where grid points and domains live; screen space is canvas pixels.
+  // screen = world * zoomLevel + panOffset
+  const getViewMatrix = () => ({
+    a: state.zoomLevel,
+    b: 0,
+    c: 0,
+    d: state.zoomLevel,
+    e: state.panOffset.x,
+    f: state.panOffset.y
+  });
+
+  // Convert a world-space point to screen coordinates
+  const worldToScreen = (point) => ({
+    x: point.x * state.zoomLevel + state.panOffset.x,
+    y: point.y * state.zoomLevel + state.panOffset.y
+  });
+
+  // Convert a screen-space point (e.g. a click) back to world coordinates
+  const screenToWorld = (point) => ({
+    x: (point.x - state.panOffset.x) / state.zoomLevel,
+    y: (point.y - state.panOffset.y) / state.zoomLevel
+  });
+
+  // World rectangle currently visible in the viewport
+  const getVisibleWorldBounds = () => {
     const { width, height } = state.viewportDimensions;
+    const topLeft = screenToWorld({ x: 0, y: 0 });
+    const bottomRight = screenToWorld({ x: width, y: height });
+    return {
+      minX: topLeft.x,
+      minY: topLeft.y,
+      maxX: bottomRight.x,
+      maxY: bottomRight.y
+    };
+  };
+
+  // Grid-aligned world bounds covering the visible area plus one cell of padding
+  const getGridBounds = () => {
     const baseGridSize = mergedParams.grid.size;
+    const { minX, minY, maxX, maxY } = getVisibleWorldBounds();
+    return {
+      startX: (Math.floor(minX / baseGridSize) - 1) * baseGridSize,
+      startY: (Math.floor(minY / baseGridSize) - 1) * baseGridSize,
+      endX: (Math.ceil(maxX / baseGridSize) + 1) * baseGridSize,
+      endY: (Math.ceil(maxY / baseGridSize) + 1) * baseGridSize
+    };
+  };
+
+  // ------------------- GRID GENERATION AND RENDERING -------------------
+
+  // Calculate the effective grid size from the transform's local area scale
+  const calculateEffectiveGridSize = (point) => {
+    const baseSize = mergedParams.grid.size;
+    if (state.transformationDomains.length === 0) {
+      return baseSize;
+    }
     
-    // Calculate grid bounds with some padding
-    const startX = -baseGridSize;
-    const startY = -baseGridSize;
-    const endX = width + baseGridSize;
-    const endY = height + baseGridSize;
-    
-    const gridPoints = [];
-    
-    // Generate base grid points
-    for (let x = startX; x <= endX; x += baseGridSize) {
-      for (let y = startY; y <= endY; y += baseGridSize) {
-        gridPoints.push({
-          original: { x, y },
-          transformed: transformPoint({ x, y })
-        });
+    const { determinant } = analyzeDeformationAt(point);
+    const localScale = Math.sqrt(Math.abs(determinant));
+    return Math.min(baseSize * 5, Math.max(baseSize * 0.2, baseSize * localScale));
+  };
+
+  // Active lattice and the grid parameters it reads
+  const getActiveLattice = () => latticeModule.getLattice(mergedParams.grid.lattice);
+
+  const getLatticeOptions = () => ({
+    polarCenter: mergedParams.grid.polarCenter,
+    polarSpokes: mergedParams.grid.polarSpokes
+  });
+
+  // Key of the base lattice layout; grid bounds, size and lattice settings determine the mesh topology
+  const getMeshLayoutKey = () => {
+    const { startX, startY, endX, endY } = getGridBounds();
+    const { size, lattice } = mergedParams.grid;
+    return `${startX},${startY}-${endX},${endY}-${size}-${lattice}` +
+      (lattice === 'polar' ? JSON.stringify(getLatticeOptions()) : '');
+  };
+
+  // Mesh topology for the current layout; its transformed buffer may still be stale
+  const getGridMeshLayout = () => {
+    const layoutKey = getMeshLayoutKey();
+    if (meshState.layoutKey !== layoutKey) {
+      meshState.mesh = latticeModule.buildMesh(
+        mergedParams.grid.lattice,
+        getGridBounds(),
+        mergedParams.grid.size,
+        getLatticeOptions()
+      );
+      meshState.layoutKey = layoutKey;
+      meshState.revision = -1;
+    }
+    return meshState.mesh;
+  };
+
+  // Typed-array mesh of the visible lattice with up-to-date transformed vertices (see gridMeshModule.js).
+  // The mesh is updated in place: only vertices inside regions dirtied since the last call are recomputed.
+  const generateGridMesh = () => {
+    const mesh = getGridMeshLayout();
+    if (meshState.revision === state.domainRevision) {
+      return mesh;
+    }
+    
+    const regions = dirtyRegionsSince(meshState.revision);
+    const { original, transformed } = mesh;
+    let recomputedVertices = 0;
+    
+    for (let vertex = 0; vertex < mesh.vertexCount; vertex++) {
+      const point = { x: original[2 * vertex], y: original[2 * vertex + 1] };
+      if (regions && !isInRegions(point, regions)) {
+        continue;
       }
+      const result = evaluateTransform(point);
+      transformed[2 * vertex] = result.x;
+      transformed[2 * vertex + 1] = result.y;
+      recomputedVertices++;
     }
     
-    return gridPoints;
+    meshState.revision = state.domainRevision;
+    stats.lastRegeneration.recomputedVertices = recomputedVertices;
+    stats.recomputedVertices += recomputedVertices;
+    return mesh;
   };
 
-  // Generate grid cells (quads) connecting grid points
-  const generateGridCells = () => {
-    const { width, height } = state.viewportDimensions;
-    const baseGridSize = mergedParams.grid.size;
+  // Generate grid points (the active lattice's vertices) covering the visible world area
+  const generateGridPoints = () => {
+    const mesh = generateGridMesh();
+    return Array.from({ length: mesh.vertexCount }, (_, vertex) => mesh.getPoint(vertex));
+  };
+
+  // Transform the active lattice's vertices as flat arrays, on the worker when one is set.
+  // Worker results are adopted into the grid mesh (at Float32 precision), so the next draw needs no work.
+  // Resolves to { original: Float64Array, transformed: Float32Array, count, revision }; a domain
+  // change while the worker runs cancels the job and rejects with an AbortError.
+  const generateGridPointsAsync = async () => {
+    if (!transformWorker) {
+      const mesh = generateGridMesh();
+      return {
+        original: mesh.original.slice(),
+        transformed: Float32Array.from(mesh.transformed),
+        count: mesh.vertexCount,
+        revision: state.domainRevision
+      };
+    }
     
-    const cacheKey = `${width}-${height}-${baseGridSize}-${state.transformationDomains.length}`;
+    const mesh = getGridMeshLayout();
+    const revision = state.domainRevision;
+    // Only the latest grid matters
+    transformWorker.cancelAll();
+    const transformed = await transformWorker.transformPoints(mesh.original, {
+      domains: state.transformationDomains,
+      compositionMode: mergedParams.transformations.compositionMode
+    });
     
-    if (cache.has("gridCellCache", cacheKey)) {
-      return cache.get("gridCellCache", cacheKey);
+    // Domain changes cancel the job, but the view may have moved on to another layout
+    if (meshState.mesh === mesh && revision === state.domainRevision) {
+      mesh.transformed.set(transformed);
+      meshState.revision = revision;
     }
     
-    // Calculate grid bounds with some padding
-    const startX = -baseGridSize;
-    const startY = -baseGridSize;
-    const endX = width + baseGridSize;
-    const endY = height + baseGridSize;
-    
-    const gridCells = [];
-    
-    // Generate grid cells as quads
-    for (let x = startX; x < endX; x += baseGridSize) {
-      for (let y = startY; y < endY; y += baseGridSize) {
-        // Define the four corners of a grid cell
-        const corners = [
-          { x, y },
-          { x: x + baseGridSize, y },
-          { x: x + baseGridSize, y: y + baseGridSize },
-          { x, y: y + baseGridSize }
-        ];
-        
-        // Transform each corner
-        const transformedCorners = corners.map(p => transformPoint(p));
-        
-        gridCells.push({
-          original: corners,
-          transformed: transformedCorners
-        });
+    return { original: mesh.original.slice(), transformed, count: mesh.vertexCount, revision };
+  };
+
+  // Use a worker client for generateGridPointsAsync, or null to compute on the main thread
+  const setTransformWorker = (client) => {
+    transformWorker?.cancelAll();
+    transformWorker = client;
+  };
+
+  // Whether any vertex of a mesh cell lies in the given regions
+  const cellTouchesRegions = (mesh, cellIndex, regions) => {
+    for (const vertex of mesh.getCellIndices(cellIndex)) {
+      if (isInRegions(mesh.getOriginalPoint(vertex), regions)) {
+        return true;
       }
     }
-    
-    cache.set("gridCellCache", cacheKey, gridCells);
-    return gridCells;
+    return false;
   };
 
-  // Render the grid
-  const renderGrid = () => {
-    if (!mergedParams.grid.showGrid) {
-      return;
+  // Generate grid cells (quads on the square lattice) as { original, transformed } objects.
+  // Adapter over generateGridMesh for consumers that want point arrays per cell.
+  const generateGridCells = () => {
+    const { lattice, adaptiveSubdivision } = mergedParams.grid;
+    const subdivide = adaptiveSubdivision && lattice === 'square';
+    const meshLayoutKey = getMeshLayoutKey();
+    const cacheKey = `${meshLayoutKey}` + (subdivide ? `-adaptive@${state.zoomLevel}` : '') +
+      `-r${state.domainRevision}`;
+    
+    if (cache.has("gridCellCache", cacheKey)) {
+      stats.cellCacheHits++;
+      return cache.get("gridCellCache", cacheKey);
     }
+    stats.cellCacheMisses++;
     
-    const cells = generateGridCells();
+    const mesh = generateGridMesh();
     
-    ctx.save();
-    ctx.globalAlpha = mergedParams.grid.opacity;
-    ctx.strokeStyle = mergedParams.grid.color;
-    ctx.lineWidth = 0.5;
+    // Same layout as last time: cells with no vertex in a dirty region are still valid
+    const regions = cellAdapter.layoutKey === meshLayoutKey ? dirtyRegionsSince(cellAdapter.revision) : null;
+    let recomputedCells = 0;
     
-    // Draw each grid cell
-    cells.forEach(cell => {
-      const { transformed } = cell;
-      
-      ctx.beginPath();
-      ctx.moveTo(transformed[0].x, transformed[0].y);
-      
-      for (let i = 1; i < transformed.length; i++) {
-        ctx.lineTo(transformed[i].x, transformed[i].y);
+    const gridCells = Array.from({ length: mesh.cellCount }, (_, index) => {
+      if (regions && !cellTouchesRegions(mesh, index, regions)) {
+        return cellAdapter.cells[index];
       }
-      
-      ctx.closePath();
-      ctx.stroke();
+      recomputedCells++;
+      return mesh.getCell(index);
     });
     
+    cellAdapter.layoutKey = meshLayoutKey;
+    cellAdapter.revision = state.domainRevision;
+    cellAdapter.cells = gridCells;
+    stats.lastRegeneration.recomputedCells = recomputedCells;
+    stats.lastRegeneration.reusedCells = gridCells.length - recomputedCells;
+    stats.recomputedCells += recomputedCells;
+    stats.reusedCells += gridCells.length - recomputedCells;
+    
+    // Quadtree refinement; leaves carry an outline with hanging vertices so levels meet without cracks
+    const cells = subdivide
+      ? subdivisionModule.subdivide(gridCells, {
+          tolerance: mergedParams.grid.subdivisionTolerance,
+          scale: state.zoomLevel,
+          maxDepth: mergedParams.grid.maxSubdivisionDepth,
+          minScreenSize: mergedParams.grid.minSubdivisionCellSize,
+          jacobianTolerance: mergedParams.grid.subdivisionJacobianTolerance
+        })
+      : gridCells;
+    
+    cache.set("gridCellCache", cacheKey, cells);
+    return cells;
+  };
+
+  // Generate one transformed polyline per grid line; lattices without line families draw each cell edge once
+  const generateGridLines = () => {
+    const mesh = generateGridMesh();
+    return Array.from({ length: mesh.lineCount }, (_, index) => mesh.getLine(index));
+  };
+
+  // Transformed polygon to draw for a cell; subdivided cells include hanging vertices
+  const cellOutline = (cell) => (cell.outline ? cell.outline.transformed : cell.transformed);
+
+  // Draw the grid and optional domain overlays through a renderer; returns the renderer's frame output
+  const drawGrid = (target, { includeDomains, includeHandles, mergeLines = false }) => {
+    const lineWidth = 0.5 / state.zoomLevel;
+    
+    target.beginFrame({ viewport: { ...state.viewportDimensions } });
+    // Draw in world coordinates; keep line widths constant in screen pixels
+    target.beginGroup({ id: 'view', transform: getViewMatrix() });
+    
+    // Optional heatmap fill underneath the grid lines
+    const overlay = mergedParams.overlay.field ? buildOverlay() : null;
+    if (overlay) {
+      target.beginGroup({ id: 'overlay', opacity: mergedParams.overlay.opacity });
+      overlay.cells.forEach(({ cell, color }) => {
+        target.drawPolygon(cellOutline(cell), { fillStyle: color, stroke: false });
+      });
+      target.endGroup();
+    }
+    
+    // One polyline per grid line, or one closed path per cell
+    target.beginGroup({
+      id: 'grid',
+      strokeStyle: mergedParams.grid.color,
+      lineWidth,
+      opacity: mergedParams.grid.opacity
+    });
+    if (mergeLines) {
+      generateGridLines().forEach(line => target.drawPolyline(line.transformed));
+    } else {
+      generateGridCells().forEach(cell => target.drawPolygon(cellOutline(cell)));
+    }
+    target.endGroup();
+    
+    // Hyperbolic tiling edges belong to the picture, so they are drawn with the grid
+    const tilingEdges = state.transformationDomains
+      .flatMap(domain => (typeof domain.getTilingEdges === 'function' ? domain.getTilingEdges() : []));
+    if (tilingEdges.length > 0) {
+      target.beginGroup({
+        id: 'tiling',
+        strokeStyle: mergedParams.grid.color,
+        lineWidth: 2 * lineWidth,
+        opacity: mergedParams.grid.opacity
+      });
+      tilingEdges.forEach(edge => target.drawPolyline(edge));
+      target.endGroup();
+    }
+    
     // Optionally highlight transformation domains
-    if (mergedParams.grid.showDomains) {
+    if (includeDomains) {
+      target.beginGroup({ id: 'domains', opacity: mergedParams.grid.opacity });
+      
       state.transformationDomains.forEach(domain => {
-        ctx.beginPath();
-        ctx.arc(domain.center.x, domain.center.y, domain.radius, 0, 2 * Math.PI);
-        
         // Use different colors for different domain types
-        switch (domain.type) {
-          case DOMAIN_TYPES.SPHERICAL:
-            ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
-            break;
-          case DOMAIN_TYPES.CYLINDRICAL:
-            ctx.strokeStyle = 'rgba(0, 255, 0, 0.5)';
-            break;
-          case DOMAIN_TYPES.CONIC:
-            ctx.strokeStyle = 'rgba(0, 0, 255, 0.5)';
-            break;
-          default:
-            ctx.strokeStyle = 'rgba(128, 128, 128, 0.5)';
+        const color = getDomainColor(domain.type);
+        const isSelected = includeHandles && domain.id === state.selectedDomainId;
+        
+        const outlineStyle = {
+          strokeStyle: color,
+          lineWidth: (isSelected ? 2.5 : 1.5) / state.zoomLevel,
+          data: { 'domain-type': domain.type }
+        };
+        if (hasBoxOutline(domain)) {
+          const { minX, minY, maxX, maxY } = domain.getBounds();
+          target.drawRect(minX, minY, maxX - minX, maxY - minY, outlineStyle);
+        } else {
+          target.drawCircle(domain.center, domain.radius, outlineStyle);
         }
         
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+        // Free-form deformation lattices: rows, columns and control points
+        if (typeof domain.getControlLattice === 'function') {
+          drawControlLattice(target, domain.getControlLattice(), color, isSelected);
+        }
+        // Point-pair warps: a line from each source to its target
+        if (typeof domain.getPairs === 'function') {
+          drawPointPairs(target, domain.getPairs(), color, isSelected);
+        }
+        // Conformal maps: fixed points and poles inside the domain
+        if (typeof domain.getPoles === 'function') {
+          drawSingularities(target, domain, color);
+        }
+        
+        // Draw move and resize handles on the selected domain
+        if (isSelected) {
+          const handleSize = HANDLE_SIZE / state.zoomLevel;
+          const resizeHandle = getResizeHandlePosition(domain);
+          
+          target.drawRect(
+            domain.center.x - handleSize / 2,
+            domain.center.y - handleSize / 2,
+            handleSize,
+            handleSize,
+            { fillStyle: color, stroke: false }
+          );
+          target.drawCircle(resizeHandle, handleSize / 2, { fillStyle: color, stroke: false });
+        }
       });
+      
+      target.endGroup();
+    }
+    
+    target.endGroup();
+    
+    // The legend lives in screen space, outside the view transform
+    if (overlay && mergedParams.overlay.showLegend) {
+      drawLegend(target, overlay.legend);
+    }
+    
+    return target.endFrame();
+  };
+
+  // Lines and points of a control lattice given as rows of points
+  const drawControlLattice = (target, lattice, color, isSelected) => {
+    const lineWidth = 1 / state.zoomLevel;
+    const pointRadius = (isSelected ? HANDLE_SIZE / 2 : HANDLE_SIZE / 4) / state.zoomLevel;
+    
+    lattice.forEach(points => target.drawPolyline(points, { strokeStyle: color, lineWidth }));
+    lattice[0].forEach((_, column) => {
+      target.drawPolyline(lattice.map(points => points[column]), { strokeStyle: color, lineWidth });
+    });
+    lattice.flat().forEach(point => target.drawCircle(point, pointRadius, { fillStyle: color, stroke: false }));
+  };
+
+  // Source-to-target lines of point pairs, with a dot on each target
+  const drawPointPairs = (target, pairs, color, isSelected) => {
+    const pointRadius = (isSelected ? HANDLE_SIZE / 2 : HANDLE_SIZE / 4) / state.zoomLevel;
+    pairs.forEach(({ source, target: destination }) => {
+      target.drawPolyline([source, destination], { strokeStyle: color, lineWidth: 1 / state.zoomLevel });
+      target.drawCircle(destination, pointRadius, { fillStyle: color, stroke: false });
+    });
+  };
+
+  // Fixed points as rings and poles as crosses, limited to the domain's disk
+  const drawSingularities = (target, domain, color) => {
+    const size = HANDLE_SIZE / state.zoomLevel;
+    const lineWidth = 1.5 / state.zoomLevel;
+    const isInside = (point) => Math.hypot(point.x - domain.center.x, point.y - domain.center.y) <= domain.radius;
+    
+    domain.getFixedPoints().filter(isInside).forEach(point => {
+      target.drawCircle(point, size / 2, { strokeStyle: color, lineWidth, data: { singularity: 'fixed-point' } });
+    });
+    domain.getPoles().filter(isInside).forEach(({ x, y }) => {
+      target.drawPolyline([{ x: x - size / 2, y: y - size / 2 }, { x: x + size / 2, y: y + size / 2 }], { strokeStyle: color, lineWidth });
+      target.drawPolyline([{ x: x - size / 2, y: y + size / 2 }, { x: x + size / 2, y: y - size / 2 }], { strokeStyle: color, lineWidth });
+    });
+  };
+
+  // Colors for every cell plus the matching legend for the active overlay field
+  const buildOverlay = () => {
+    const { field, palette, min, max } = mergedParams.overlay;
+    const values = computeOverlayField(field);
+    const range = heatmapModule.computeRange(values, { min, max });
+    const cells = generateGridCells().map((cell, index) => ({
+      cell,
+      color: heatmapModule.sampleColor(palette, heatmapModule.normalize(values[index], range))
+    }));
+    return {
+      cells,
+      legend: heatmapModule.buildLegend({ palette, range, label: overlayFields[field].label })
+    };
+  };
+
+  // Gradient bar with min/mid/max ticks in the bottom-left corner of the viewport
+  const drawLegend = (target, legend) => {
+    const barWidth = 160;
+    const barHeight = 10;
+    const margin = 16;
+    const x = margin;
+    const y = state.viewportDimensions.height - margin - barHeight;
+    const swatchWidth = barWidth / legend.swatches.length;
+    const textStyle = { fillStyle: '#222222', font: '11px sans-serif' };
+    
+    target.beginGroup({ id: 'legend' });
+    target.drawRect(x - 6, y - 22, barWidth + 12, barHeight + 42, { fillStyle: 'rgba(255, 255, 255, 0.8)', stroke: false });
+    target.drawText(legend.label, { x, y: y - 8 }, { ...textStyle, textAlign: 'left' });
+    legend.swatches.forEach(({ color }, i) => {
+      // Overlap swatches slightly to avoid hairline gaps
+      target.drawRect(x + i * swatchWidth, y, swatchWidth + 0.5, barHeight, { fillStyle: color, stroke: false });
+    });
+    legend.ticks.forEach(({ t, label }) => {
+      target.drawText(label, { x: x + t * barWidth, y: y + barHeight + 12 }, {
+        ...textStyle,
+        textAlign: t === 0 ? 'left' : t === 1 ? 'right' : 'center'
+      });
+    });
+    target.endGroup();
+  };
+
+  // Render the grid through the active renderer
+  const renderGrid = () => {
+    if (!mergedParams.grid.showGrid) {
+      return undefined;
     }
     
-    ctx.restore();
+    events.emit('beforeRender', { renderer, time: state.time });
+    // One path per grid line, unless subdivided cells need their own outlines
+    const output = drawGrid(renderer, {
+      includeDomains: mergedParams.grid.showDomains,
+      includeHandles: true,
+      mergeLines: !(mergedParams.grid.adaptiveSubdivision && mergedParams.grid.lattice === 'square')
+    });
+    events.emit('afterRender', { renderer, time: state.time, output });
+    return output;
+  };
+
+  // Swap the drawing backend (canvas, SVG or recording renderer)
+  const setRenderer = (newRenderer) => {
+    renderer = newRenderer;
+    const size = renderer.getSize();
+    if (size) {
+      updateViewportDimensions(size.width, size.height);
+    }
+    return renderer;
+  };
+
+  // ------------------- SVG EXPORT -------------------
+
+  // Serialize the visible deformed grid as an SVG document; needs no canvas
+  const exportSVG = ({
+    width = state.viewportDimensions.width,
+    height = state.viewportDimensions.height,
+    includeDomains = mergedParams.grid.showDomains,
+    mergeLines = false,
+    precision = 2
+  } = {}) => {
+    // The viewBox is the viewport, so requested sizes scale the whole drawing
+    return drawGrid(createSvgRenderer({ width, height, precision }), {
+      includeDomains,
+      includeHandles: false,
+      mergeLines
+    });
   };
 
   // ------------------- COORDINATE SNAPPING -------------------
 
-  // Snap a point to the grid using the external snapping module
+  // Snap a world-space point to the grid using the external snapping module
   const snapToGrid = (point) => {
     if (!mergedParams.grid.snapToGrid) {
       return { ...point };
     }
     
     // Delegate the snapping operation to the snapping module.
-    // It uses transformPoint, inverseTransformPoint, and calculateEffectiveGridSize from this module.
+    // It uses transformPoint and inverseTransformPoint from this module and snaps in original
+    // space to the nearest vertex of the active lattice, i.e. to a vertex of the drawn grid.
+    const lattice = getActiveLattice();
     return snappingModule.snapTransformedPoint(
       point,
       transformPoint,
       inverseTransformPoint,
-      calculateEffectiveGridSize
+      () => mergedParams.grid.size,
+      (originalPoint, gridSize) => lattice.nearestVertex(originalPoint, gridSize, getLatticeOptions())
     );
   };
 
+  // Snap a screen-space point (e.g. a pointer event) and return the world-space result
+  const snapScreenPoint = (screenPoint) => {
+    return snapToGrid(screenToWorld(screenPoint));
+  };
+
   // ------------------- VIEWPORT & INTERACTION HANDLING -------------------
 
+  // Emit viewportChanged with the full view and which part of it changed
+  const announceViewportChange = (changed) => {
+    events.emit('viewportChanged', {
+      changed,
+      zoomLevel: state.zoomLevel,
+      panOffset: { ...state.panOffset },
+      viewportDimensions: { ...state.viewportDimensions }
+    });
+  };
+
+  // Constrain zoom level to reasonable values
+  const clampZoom = (zoomLevel) => Math.max(0.1, Math.min(10, zoomLevel));
+
   // Set zoom level
   const setZoomLevel = (newZoomLevel) => {
-    // Constrain zoom level to reasonable values
-    const constrainedZoom = Math.max(0.1, Math.min(10, newZoomLevel));
+    const constrainedZoom = clampZoom(newZoomLevel);
     
     if (state.zoomLevel !== constrainedZoom) {
       state.zoomLevel = constrainedZoom;
@@ -345,12 +1429,36 @@ const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
       // Clear caches as zoom affects grid appearance
       cache.clear("gridCellCache");
       
-      console.info("[AdaptiveGrid] Zoom level set to:", constrainedZoom);
+      announceViewportChange('zoomLevel');
     }
     
     return state.zoomLevel;
   };
 
+  // Zoom around a fixed screen point so the world point under it stays put.
+  // Zoom and pan change together, so listeners get a single viewportChanged with the final view.
+  const zoomAtPoint = (screenPoint, newZoomLevel) => {
+    const anchor = screenToWorld(screenPoint);
+    const zoom = clampZoom(newZoomLevel);
+    const panOffset = {
+      x: screenPoint.x - anchor.x * zoom,
+      y: screenPoint.y - anchor.y * zoom
+    };
+    
+    if (zoom !== state.zoomLevel || panOffset.x !== state.panOffset.x || panOffset.y !== state.panOffset.y) {
+      state.zoomLevel = zoom;
+      state.panOffset = panOffset;
+      cache.clear("gridCellCache");
+      announceViewportChange('zoomLevel');
+    }
+    return state.panOffset;
+  };
+
+  // Shift the view by a screen-space delta
+  const panBy = (dx, dy) => {
+    return setPanOffset(state.panOffset.x + dx, state.panOffset.y + dy);
+  };
+
   // Set pan offset
   const setPanOffset = (x, y) => {
     state.panOffset = { x, y };
@@ -358,10 +1466,25 @@ const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
     // Clear certain caches on pan
     cache.clear("gridCellCache");
     
-    console.info("[AdaptiveGrid] Pan offset set to:", { x, y });
+    announceViewportChange('panOffset');
     return state.panOffset;
   };
 
+  // Apply a saved { zoomLevel, panOffset } view, announcing the parts that change
+  const restoreView = ({ zoomLevel, panOffset }) => {
+    const previous = { zoomLevel: state.zoomLevel, panOffset: { ...state.panOffset } };
+    state.zoomLevel = zoomLevel;
+    state.panOffset = { ...panOffset };
+    cache.clear("gridCellCache");
+    
+    if (state.zoomLevel !== previous.zoomLevel) {
+      announceViewportChange('zoomLevel');
+    }
+    if (state.panOffset.x !== previous.panOffset.x || state.panOffset.y !== previous.panOffset.y) {
+      announceViewportChange('panOffset');
+    }
+  };
+
   // Update viewport dimensions
   const updateViewportDimensions = (width, height) => {
     state.viewportDimensions = { width, height };
@@ -369,21 +1492,385 @@ const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
     // Clear caches on resize
     cache.clear("gridCellCache");
     
-    console.info("[AdaptiveGrid] Viewport dimensions updated:", { width, height });
+    announceViewportChange('viewportDimensions');
     return state.viewportDimensions;
   };
 
+  // ------------------- CONFIGURATION -------------------
+
+  // Register a custom falloff curve; domains select it through options.blendMode
+  const registerBlendingFunction = (name, fn) => {
+    deformationModule.registerBlendingFunction(name, fn);
+    // Existing domains may already refer to this name
+    invalidateDomainCaches();
+  };
+
+  // Register a custom base lattice (see latticeModule.js for the interface)
+  const registerLattice = (name, lattice) => {
+    latticeModule.registerLattice(name, lattice);
+    // The active lattice may have been replaced; its mesh and cells have the old topology
+    if (name === mergedParams.grid.lattice) {
+      meshState.layoutKey = null;
+      cellAdapter.layoutKey = null;
+    }
+    cache.clear("gridCellCache");
+  };
+
+  // Deep copy of the parameter groups, used for history snapshots
+  const snapshotParameters = () => ({
+    grid: { ...mergedParams.grid },
+    transformations: { ...mergedParams.transformations },
+    overlay: { ...mergedParams.overlay }
+  });
+
+  // Emit parametersChanged with both snapshots and the groups that differ
+  const announceParameterChange = (previous) => {
+    const current = snapshotParameters();
+    const groups = Object.keys(current)
+      .filter(group => JSON.stringify(previous[group]) !== JSON.stringify(current[group]));
+    if (groups.length > 0) {
+      events.emit('parametersChanged', { groups, previous, current });
+    }
+  };
+
+  // Apply a parameter snapshot and clear what depends on it
+  const restoreParameters = (snapshot) => {
+    const previous = snapshotParameters();
+    const transformationsChanged =
+      JSON.stringify(snapshot.transformations) !== JSON.stringify(mergedParams.transformations);
+    
+    mergedParams.grid = { ...snapshot.grid };
+    mergedParams.transformations = { ...snapshot.transformations };
+    mergedParams.overlay = { ...snapshot.overlay };
+    
+    if (transformationsChanged) {
+      syncRegularization();
+      invalidateDomainCaches();
+    } else {
+      cache.clear("gridCellCache");
+    }
+    announceParameterChange(previous);
+  };
+
+  // Throw on unknown lattices, composition modes, overlay fields and palettes in any group
+  const validateParameters = ({ grid, transformations, overlay } = {}) => {
+    if (grid?.lattice !== undefined) {
+      latticeModule.getLattice(grid.lattice);
+    }
+    assertCompositionMode(transformations?.compositionMode);
+    if (overlay?.field && !overlayFields[overlay.field]) {
+      throw new Error(`AdaptiveGrid: unknown overlay field "${overlay.field}"`);
+    }
+    if (overlay?.palette && !heatmapModule.getPalettes().includes(overlay.palette)) {
+      throw new Error(`AdaptiveGrid: unknown overlay palette "${overlay.palette}"`);
+    }
+  };
+
+  // Merge new parameter values into the current configuration
+  const updateParameters = (newParams) => {
+    // Validate every group first so a bad value leaves the configuration untouched
+    validateParameters(newParams);
+    const previous = snapshotParameters();
+    
+    if (newParams.grid) {
+      mergedParams.grid = { ...mergedParams.grid, ...newParams.grid };
+    }
+    if (newParams.transformations) {
+      mergedParams.transformations = { 
+        ...mergedParams.transformations, 
+        ...newParams.transformations 
+      };
+      syncRegularization();
+      // Composition settings change every transformed point
+      invalidateDomainCaches();
+    }
+    if (newParams.overlay) {
+      mergedParams.overlay = { ...mergedParams.overlay, ...newParams.overlay };
+    }
+    
+    // Clear grid cell cache when parameters change
+    cache.clear("gridCellCache");
+    
+    const next = snapshotParameters();
+    history.record({
+      label: 'Update parameters',
+      undo: () => restoreParameters(previous),
+      redo: () => restoreParameters(next)
+    });
+    
+    announceParameterChange(previous);
+  };
+
+  // ------------------- ANIMATION -------------------
+
+  // Read a property path such as 'center.x' from a domain
+  const getDomainProperty = (domain, path) => path.split('.').reduce((target, key) => target?.[key], domain);
+
+  const setDomainProperty = (domain, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((target, key) => target[key], domain)[last] = value;
+  };
+
+  // Write animated values for a time into their domains, invalidating only the animated domains' regions
+  const applyAnimation = (time) => {
+    const regions = [];
+    const updates = [];
+    timelineModule.getAnimatedDomainIds().forEach(domainId => {
+      const domain = getTransformationDomain(domainId);
+      if (!domain) {
+        return;
+      }
+      const previousBounds = domain.getBounds();
+      const values = timelineModule.sample(domainId, time);
+      const previousValues = Object.fromEntries(
+        Object.keys(values).map(path => [path, getDomainProperty(domain, path)])
+      );
+      Object.entries(values).forEach(([path, value]) => {
+        setDomainProperty(domain, path, value);
+      });
+      regions.push(previousBounds, domain.getBounds());
+      updates.push([domain, previousValues, values]);
+    });
+    
+    if (regions.length > 0) {
+      invalidateDomainRegions(regions);
+    }
+    // Listeners see the domains after the caches were invalidated
+    updates.forEach(update => announceDomainUpdate(...update));
+  };
+
+  // Move the timeline to a time in seconds
+  const setTime = (time) => {
+    state.time = time;
+    applyAnimation(time);
+    return state.time;
+  };
+
+  // Replace the keyframes of a numeric domain property ('radius', 'center.x', 'phase', ...)
+  const setDomainKeyframes = (domainId, property, keyframes) => {
+    const domain = getTransformationDomain(domainId);
+    if (!domain) {
+      throw new Error(`AdaptiveGrid: no domain with id ${domainId}`);
+    }
+    if (typeof getDomainProperty(domain, property) !== 'number') {
+      throw new Error(`AdaptiveGrid: domain property "${property}" is not numeric`);
+    }
+    
+    const previous = timelineModule.getKeyframes(domainId, property);
+    timelineModule.setKeyframes(domainId, property, keyframes);
+    const next = timelineModule.getKeyframes(domainId, property);
+    applyAnimation(state.time);
+    
+    const restore = (frames) => {
+      timelineModule.setKeyframes(domainId, property, frames);
+      applyAnimation(state.time);
+    };
+    history.record({
+      label: 'Set keyframes',
+      undo: () => restore(previous),
+      redo: () => restore(next)
+    });
+  };
+
+  // Stop animating one property of a domain, or all of them; current values stay in place
+  const removeDomainAnimation = (domainId, property) => {
+    const properties = property === undefined ? timelineModule.getAnimatedProperties(domainId) : [property];
+    if (properties.length === 0) {
+      return;
+    }
+    
+    history.transaction('Remove animation', () => {
+      properties.forEach(name => setDomainKeyframes(domainId, name, []));
+    });
+  };
+
+  // Keyframes of every animated property of a domain
+  const getDomainAnimation = (domainId) => Object.fromEntries(
+    timelineModule.getAnimatedProperties(domainId).map(property => [
+      property,
+      timelineModule.getKeyframes(domainId, property)
+    ])
+  );
+
+  // Frame scheduling: requestAnimationFrame in browsers, timers elsewhere
+  const scheduleFrame = (callback) => (typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(() => callback(performance.now()), 1000 / 60));
+
+  const cancelFrame = (handle) => (typeof cancelAnimationFrame === 'function'
+    ? cancelAnimationFrame(handle)
+    : clearTimeout(handle));
+
+  // Advance the timeline in real time from the current time; onFrame runs after each step.
+  // Returns false without starting when there is nothing to animate.
+  const play = ({ loop = true, speed = 1, onFrame = () => renderGrid() } = {}) => {
+    pause();
+    const duration = timelineModule.getDuration();
+    if (duration === 0) {
+      return false;
+    }
+    playback.options = { loop, speed, onFrame };
+    
+    const startTime = state.time;
+    const startedAt = performance.now();
+    
+    const step = (now) => {
+      let time = startTime + ((now - startedAt) / 1000) * speed;
+      const finished = !loop && time >= duration;
+      if (finished) {
+        time = duration;
+      } else if (loop) {
+        time = ((time % duration) + duration) % duration;
+      }
+      
+      setTime(time);
+      onFrame(time);
+      playback.frameHandle = finished ? null : scheduleFrame(step);
+    };
+    
+    playback.frameHandle = scheduleFrame(step);
+    return true;
+  };
+
+  const pause = () => {
+    if (playback.frameHandle !== null) {
+      cancelFrame(playback.frameHandle);
+      playback.frameHandle = null;
+    }
+  };
+
+  // ------------------- SCENE PERSISTENCE -------------------
+
+  // Serialized timeline keys are strings; map them back to the (possibly numeric) ids of current domains
+  const resolveDomainId = (key) => state.transformationDomains.find(domain => String(domain.id) === key)?.id ?? key;
+
+  // Serialize parameters, view and every domain into a versioned JSON document
+  const exportScene = (space = 2) => {
+    // Tracks of removed domains stay around for undo, but do not belong in the document
+    const timeline = Object.fromEntries(
+      Object.entries(timelineModule.serialize())
+        .filter(([domainId]) => state.transformationDomains.some(domain => String(domain.id) === domainId))
+    );
+    const scene = sceneModule.createScene({
+      parameters: mergedParams,
+      view: { zoomLevel: state.zoomLevel, panOffset: { ...state.panOffset } },
+      domains: state.transformationDomains,
+      timeline
+    });
+    return JSON.stringify(scene, null, space);
+  };
+
+  // Replace parameters and domains with the contents of a scene document
+  const importScene = (json) => {
+    const scene = sceneModule.parseScene(json);
+    validateParameters(scene.parameters);
+    
+    // Build every domain before touching state so a bad entry leaves the grid intact
+    const usedIds = new Set();
+    const domains = scene.domains.map(({ id, ...config }) => {
+      const domain = deformationModule.createDomain(config.type, config);
+      // Missing or repeated ids get fresh ones
+      domain.id = id !== undefined && id !== null && !usedIds.has(id) ? id : createDomainId();
+      domain.created = Date.now();
+      usedIds.add(domain.id);
+      return domain;
+    });
+    // New domains must not reuse the numeric ids that came with the scene
+    usedIds.forEach(id => {
+      if (Number.isFinite(id)) {
+        lastDomainId = Math.max(lastDomainId, id);
+      }
+    });
+    
+    const previous = {
+      parameters: snapshotParameters(),
+      domains: state.transformationDomains,
+      timeline: timelineModule.serialize(),
+      view: { zoomLevel: state.zoomLevel, panOffset: { ...state.panOffset } }
+    };
+    
+    const parameters = scene.parameters || {};
+    mergedParams.grid = { ...defaultParams.grid, ...(parameters.grid || {}) };
+    mergedParams.transformations = { ...defaultParams.transformations, ...(parameters.transformations || {}) };
+    mergedParams.overlay = { ...defaultParams.overlay, ...(parameters.overlay || {}) };
+    state.transformationDomains = domains;
+    syncRegularization();
+    timelineModule.load(scene.timeline || {}, resolveDomainId);
+    
+    // The selected domain belongs to the replaced scene (its id may even be reused by the new one)
+    state.selectedDomainId = null;
+    
+    invalidateDomainCaches();
+    announceDomainChanges(previous.domains, domains);
+    // Animated domains take their values at the current time, not their static ones
+    applyAnimation(state.time);
+    announceParameterChange(previous.parameters);
+    // parseScene has checked the view; missing parts keep their current values
+    restoreView({
+      zoomLevel: scene.view?.zoomLevel ?? state.zoomLevel,
+      panOffset: { ...state.panOffset, ...(scene.view?.panOffset || {}) }
+    });
+    
+    const next = {
+      parameters: snapshotParameters(),
+      domains,
+      timeline: timelineModule.serialize(),
+      view: { zoomLevel: state.zoomLevel, panOffset: { ...state.panOffset } }
+    };
+    history.record({
+      label: 'Import scene',
+      undo: () => {
+        restoreParameters(previous.parameters);
+        setDomains(previous.domains);
+        timelineModule.load(previous.timeline, resolveDomainId);
+        applyAnimation(state.time);
+        restoreView(previous.view);
+        state.selectedDomainId = null;
+      },
+      redo: () => {
+        restoreParameters(next.parameters);
+        setDomains(next.domains);
+        timelineModule.load(next.timeline, resolveDomainId);
+        applyAnimation(state.time);
+        restoreView(next.view);
+        state.selectedDomainId = null;
+      }
+    });
+    
+    return scene;
+  };
+
+  // ------------------- STATISTICS -------------------
+
+  // Cache hit/miss counters and how many cells the last regenerations recomputed or reused
+  const getStats = () => ({
+    ...stats,
+    lastRegeneration: { ...stats.lastRegeneration },
+    domainRevision: state.domainRevision,
+    cacheSizes: {
+      transformation: cache.size("transformationCache"),
+      blending: cache.size("blendingCache"),
+      gridCells: cache.size("gridCellCache")
+    }
+  });
+
+  const resetStats = () => {
+    stats = createStats();
+  };
+
   // Initialize module
   const initialize = () => {
-    // Set initial viewport dimensions
-    updateViewportDimensions(ctx.canvas.width, ctx.canvas.height);
+    // Sync viewport dimensions with the rendering surface, if there is one
+    const size = renderer.getSize();
+    if (size) {
+      updateViewportDimensions(size.width, size.height);
+    }
     
     // Initial render if grid is visible
     if (mergedParams.grid.showGrid) {
       renderGrid();
     }
-    
-    console.info("[AdaptiveGrid] Module initialized");
   };
 
   // ------------------- PUBLIC API -------------------
@@ -392,11 +1879,30 @@ const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
     // Core functionality
     initialize,
     renderGrid,
+    setRenderer,
+    getRenderer: () => renderer,
     
     // Transformation management
     createTransformationDomain,
+    updateTransformationDomain,
     removeTransformationDomain,
+    getDomainControlPoints,
+    setDomainControlPoint,
+    resetDomainControlPoints,
+    getDomainPointPairs,
+    addDomainPointPair,
+    setDomainPointPair,
+    removeDomainPointPair,
     clearTransformationDomains,
+    getTransformationDomain,
+    moveTransformationDomain,
+    resizeTransformationDomain,
+    
+    // Hit testing and selection
+    getDomainAtPoint,
+    getHandleAtPoint,
+    selectDomain,
+    getSelectedDomain,
     
     // Domain type constants
     DOMAIN_TYPES,
@@ -405,41 +1911,97 @@ const createAdaptiveGridModule = ({ ctx, parameters = {} }) => {
     transformPoint,
     inverseTransformPoint,
     snapToGrid,
+    snapScreenPoint,
+    
+    // View transform
+    worldToScreen,
+    screenToWorld,
+    getViewMatrix,
+    getVisibleWorldBounds,
+    
+    // Deformation analysis
+    analyzeDeformationAt,
+    getDistortionReport,
+    computeOverlayField,
+    getOverlayFields: () => Object.keys(overlayFields),
+    getOverlayPalettes: heatmapModule.getPalettes,
+    registerOverlayPalette: heatmapModule.registerPalette,
     
     // Grid properties
     calculateEffectiveGridSize,
     generateGridPoints,
+    generateGridPointsAsync,
+    setTransformWorker,
+    generateGridMesh,
     generateGridCells,
+    generateGridLines,
+    getLattices: latticeModule.getLattices,
+    registerLattice,
+    
+    // Export
+    exportSVG,
     
     // Viewport controls
     setZoomLevel,
     setPanOffset,
+    zoomAtPoint,
+    panBy,
     updateViewportDimensions,
     
     // Configuration access
     getParameters: () => ({ ...mergedParams }),
-    updateParameters: (newParams) => {
-      if (newParams.grid) {
-        mergedParams.grid = { ...mergedParams.grid, ...newParams.grid };
-      }
-      if (newParams.transformations) {
-        mergedParams.transformations = { 
-          ...mergedParams.transformations, 
-          ...newParams.transformations 
-        };
-      }
-      
-      // Clear grid cell cache when parameters change
-      cache.clear("gridCellCache");
-      
-      console.info("[AdaptiveGrid] Parameters updated");
-    },
+    updateParameters,
+    registerBlendingFunction,
+    
+    // Animation
+    setTime,
+    getTime: () => state.time,
+    play,
+    pause,
+    isPlaying: () => playback.frameHandle !== null,
+    // Options of the running playback, so it can be restarted the same way after an interruption
+    getPlaybackOptions: () => (playback.frameHandle !== null ? { ...playback.options } : null),
+    setDomainKeyframes,
+    removeDomainAnimation,
+    getDomainAnimation,
+    getAnimationDuration: timelineModule.getDuration,
+    getEasings: timelineModule.getEasings,
+    registerEasing: timelineModule.registerEasing,
+    
+    // Change events: domainAdded, domainRemoved, domainUpdated, parametersChanged,
+    // viewportChanged, beforeRender and afterRender; error receives { event, error, payload }
+    // when one of their listeners throws
+    on: events.on,
+    off: events.off,
+    once: events.once,
     
     // State access
     getState: () => ({ ...state }),
+    getStats,
+    resetStats,
+    
+    // Undo/redo history
+    undo: history.undo,
+    redo: history.redo,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    beginTransaction: history.beginTransaction,
+    endTransaction: history.endTransaction,
+    cancelTransaction: history.cancelTransaction,
+    transaction: history.transaction,
+    clearHistory: history.clear,
+    setHistoryDepth: history.setMaxDepth,
+    onHistoryChange: history.onChange,
+    
+    // Scene persistence
+    exportScene,
+    importScene,
+    registerSceneMigration: sceneModule.registerMigration,
+    SCENE_VERSION: sceneModule.SCENE_VERSION,
     
     // Math utilities exposed from the deformation module
     utils: {
+      COMPOSITION_MODES: deformationModule.COMPOSITION_MODES,
       complex: deformationModule.complex,
       mobiusTransform: deformationModule.mobiusTransform,
       blendingFunctions: deformationModule.blendingFunctions,
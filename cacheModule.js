@@ -1,4 +1,4 @@
-import PolygonalEncoder from './PolygonalEncoder.js';
+import PolygonalEncoder from './polygonalEncoder.js';
 
 /**
  * Creates a reusable cache module for efficient data storage and retrieval
@@ -140,6 +140,24 @@ const createCacheModule = (options = {}) => {
     return cache.delete(actualKey);
   };
 
+  /**
+   * Removes every entry of a cache that matches a predicate
+   * @param {string} cacheName - Name of the cache to use
+   * @param {Function} predicate - Receives (key, value); return true to remove the entry
+   * @returns {number} Number of entries removed
+   */
+  const removeWhere = (cacheName, predicate) => {
+    const cache = getCache(cacheName);
+    let removed = 0;
+    for (const [key, value] of cache) {
+      if (predicate(key, value)) {
+        cache.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
   /**
    * Gets all keys from a specified cache
    * @param {string} cacheName - Name of the cache to use
@@ -168,6 +186,7 @@ const createCacheModule = (options = {}) => {
     clear,
     clearAll,
     remove,
+    removeWhere,
     keys,
     size
   };
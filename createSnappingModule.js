@@ -64,8 +64,9 @@ const createSnappingModule = () => {
       return nearestPoint;
     };
   
-    // Snap to grid with transformations applied
-    const snapTransformedPoint = (point, transformFn, inverseFn, effectiveGridSizeFn) => {
+    // Snap to grid with transformations applied.
+    // nearestVertexFn(point, gridSize) picks the lattice vertex in original space; defaults to the square grid.
+    const snapTransformedPoint = (point, transformFn, inverseFn, effectiveGridSizeFn, nearestVertexFn = snapToGridPoint) => {
       if (!settings.enabled || settings.mode === SNAP_MODES.NONE) {
         return { ...point };
       }
@@ -73,11 +74,16 @@ const createSnappingModule = () => {
       // First, inverse transform to get to original grid space
       const originalPoint = inverseFn(point);
       
+      // An inverse that failed to converge would snap to an unrelated grid point
+      if (originalPoint.converged === false) {
+        return { ...point };
+      }
+      
       // Calculate effective grid size at this point
       const gridSize = effectiveGridSizeFn(originalPoint);
       
       // Snap in original space
-      const snappedOriginal = snapToGridPoint(originalPoint, gridSize);
+      const snappedOriginal = nearestVertexFn(originalPoint, gridSize);
       
       // Transform back to get the snapped point in transformed space
       return transformFn(snappedOriginal);
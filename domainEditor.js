@@ -0,0 +1,175 @@
+/**
+ * Creates a pointer-driven editor for selecting, moving, resizing and deleting
+ * transformation domains of an adaptive grid module, and for dragging the control
+ * points of selected free-form deformation domains and the targets of point-pair warps
+ * @param {Object} config - Configuration
+ * @param {Object} config.gridModule - Adaptive grid module instance
+ * @param {Function} config.onChange - Called whenever the selection or a domain changes
+ * @returns {Object} Editor with pointer and keyboard handlers
+ */
+const createDomainEditorModule = ({ gridModule, onChange = () => {} }) => {
+  // Active drag: { domainId, handle, offset, column, row, index } or null
+  let drag = null;
+
+  const CURSORS = {
+    move: 'move',
+    resize: 'ew-resize',
+    control: 'crosshair',
+    target: 'crosshair'
+  };
+
+  const TRANSACTION_LABELS = {
+    move: 'Move domain',
+    resize: 'Resize domain',
+    control: 'Move control point',
+    target: 'Move point pair'
+  };
+
+  /**
+   * Starts editing the domain handle under the pointer
+   * @param {Object} screenPoint - Canvas-relative pointer position
+   * @returns {boolean} True if the event was consumed by the editor
+   */
+  const handlePointerDown = (screenPoint) => {
+    const worldPoint = gridModule.screenToWorld(screenPoint);
+    const hit = gridModule.getHandleAtPoint(worldPoint);
+
+    if (!hit) {
+      if (gridModule.getSelectedDomain()) {
+        gridModule.selectDomain(null);
+        onChange();
+      }
+      return false;
+    }
+
+    const { domain, handle, column, row, index } = hit;
+    gridModule.selectDomain(domain.id);
+    gridModule.beginTransaction(TRANSACTION_LABELS[handle]);
+
+    // Keep the grab point fixed relative to the center (or the grabbed point) while moving
+    const anchors = {
+      control: () => gridModule.getDomainControlPoints(domain.id)[row][column],
+      target: () => gridModule.getDomainPointPairs(domain.id)[index].target
+    };
+    const anchor = anchors[handle] ? anchors[handle]() : domain.center;
+    drag = {
+      domainId: domain.id,
+      handle,
+      column,
+      row,
+      index,
+      offset: {
+        x: worldPoint.x - anchor.x,
+        y: worldPoint.y - anchor.y
+      }
+    };
+
+    onChange();
+    return true;
+  };
+
+  /**
+   * Updates the dragged domain
+   * @param {Object} screenPoint - Canvas-relative pointer position
+   * @returns {boolean} True if the event was consumed by the editor
+   */
+  const handlePointerMove = (screenPoint) => {
+    if (!drag) {
+      return false;
+    }
+
+    const worldPoint = gridModule.screenToWorld(screenPoint);
+
+    if (drag.handle === 'resize') {
+      const domain = gridModule.getTransformationDomain(drag.domainId);
+      const radius = Math.hypot(worldPoint.x - domain.center.x, worldPoint.y - domain.center.y);
+      gridModule.resizeTransformationDomain(drag.domainId, radius);
+    } else if (drag.handle === 'control') {
+      gridModule.setDomainControlPoint(drag.domainId, drag.column, drag.row, {
+        x: worldPoint.x - drag.offset.x,
+        y: worldPoint.y - drag.offset.y
+      });
+    } else if (drag.handle === 'target') {
+      gridModule.setDomainPointPair(drag.domainId, drag.index, {
+        target: { x: worldPoint.x - drag.offset.x, y: worldPoint.y - drag.offset.y }
+      });
+    } else {
+      const center = gridModule.snapToGrid({
+        x: worldPoint.x - drag.offset.x,
+        y: worldPoint.y - drag.offset.y
+      });
+      gridModule.moveTransformationDomain(drag.domainId, center);
+    }
+
+    onChange();
+    return true;
+  };
+
+  /**
+   * Finishes the current drag as a single undoable step
+   * @returns {boolean} True if the event was consumed by the editor
+   */
+  const handlePointerUp = () => {
+    if (!drag) {
+      return false;
+    }
+
+    gridModule.endTransaction();
+    drag = null;
+    return true;
+  };
+
+  /**
+   * Deletes the selection on Delete/Backspace; Escape aborts a drag or clears the selection
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if the event was consumed by the editor
+   */
+  const handleKeyDown = (event) => {
+    const selected = gridModule.getSelectedDomain();
+
+    if ((event.key === 'Delete' || event.key === 'Backspace') && selected && !drag) {
+      gridModule.removeTransformationDomain(selected.id);
+      onChange();
+      return true;
+    }
+
+    if (event.key === 'Escape') {
+      if (drag) {
+        gridModule.cancelTransaction();
+        drag = null;
+      } else if (selected) {
+        gridModule.selectDomain(null);
+      } else {
+        return false;
+      }
+      onChange();
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * CSS cursor for the handle under the pointer
+   * @param {Object} screenPoint - Canvas-relative pointer position
+   * @returns {string} Cursor name, empty when nothing is under the pointer
+   */
+  const getCursor = (screenPoint) => {
+    if (drag) {
+      return CURSORS[drag.handle];
+    }
+    const hit = gridModule.getHandleAtPoint(gridModule.screenToWorld(screenPoint));
+    return hit ? CURSORS[hit.handle] : '';
+  };
+
+  return {
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+    handleKeyDown,
+    getCursor,
+    isDragging: () => drag !== null
+  };
+};
+
+export { createDomainEditorModule };
@@ -0,0 +1,104 @@
+/**
+ * Creates an event emitter for a fixed set of event names. An 'error' event is always
+ * available; it receives { event, error, payload } when a listener throws.
+ * @param {Array} eventNames - Events that can be subscribed to and emitted
+ * @returns {Object} Event module with on/off/once subscriptions and emit
+ */
+const createEventModule = (eventNames) => {
+  // event name -> Set of listeners
+  const listeners = new Map([...new Set([...eventNames, 'error'])].map(name => [name, new Set()]));
+  // once() wrapper -> original listener, so off() accepts the function that was passed in
+  const onceListeners = new WeakMap();
+
+  const getListeners = (event) => {
+    const eventListeners = listeners.get(event);
+    if (!eventListeners) {
+      throw new Error(`EventModule: unknown event "${event}"`);
+    }
+    return eventListeners;
+  };
+
+  /**
+   * Subscribes to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  const on = (event, listener) => {
+    if (typeof listener !== 'function') {
+      throw new Error(`EventModule: listener for "${event}" must be a function`);
+    }
+    getListeners(event).add(listener);
+    return () => off(event, listener);
+  };
+
+  /**
+   * Unsubscribes a listener added with on() or once()
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {boolean} True if the listener was subscribed
+   */
+  const off = (event, listener) => {
+    const eventListeners = getListeners(event);
+    if (eventListeners.delete(listener)) {
+      return true;
+    }
+    const wrapper = [...eventListeners].find(candidate => onceListeners.get(candidate) === listener);
+    return wrapper ? eventListeners.delete(wrapper) : false;
+  };
+
+  /**
+   * Subscribes to the next occurrence of an event only
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  const once = (event, listener) => {
+    const wrapper = (payload) => {
+      off(event, wrapper);
+      listener(payload);
+    };
+    onceListeners.set(wrapper, listener);
+    return on(event, wrapper);
+  };
+
+  // Surface an error outside the emit that caught it, where the host reports uncaught errors
+  const rethrowLater = (error) => {
+    queueMicrotask(() => {
+      throw error;
+    });
+  };
+
+  /**
+   * Calls every listener of an event. A failing listener does not stop the others or the
+   * operation that emitted the event: its error goes to the 'error' event, or is rethrown
+   * asynchronously when nothing listens for errors or an error listener fails itself.
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  const emit = (event, payload) => {
+    // Copy, so listeners may unsubscribe while being called
+    [...getListeners(event)].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        if (event === 'error' || getListeners('error').size === 0) {
+          rethrowLater(error);
+        } else {
+          emit('error', { event, error, payload });
+        }
+      }
+    });
+  };
+
+  return {
+    on,
+    off,
+    once,
+    emit,
+    hasListeners: (event) => getListeners(event).size > 0,
+    getEventNames: () => [...listeners.keys()]
+  };
+};
+
+export { createEventModule };
@@ -0,0 +1,137 @@
+/**
+ * Creates a frame export module that steps an adaptive grid through its animation
+ * timeline and writes every frame as SVG, optionally rasterized to raw RGBA, plus a
+ * manifest describing the sequence. It has no DOM dependency and runs under Node.
+ * @param {Object} config - Configuration
+ * @param {Object} config.gridModule - Adaptive grid module (createAdaptiveGridModule)
+ * @returns {Object} Frame export module
+ */
+const createFrameExportModule = ({ gridModule }) => {
+  // Identifies manifests produced by this module
+  const MANIFEST_FORMAT = 'sculptgrid-frames';
+  const MANIFEST_VERSION = 1;
+
+  /**
+   * Times of every frame from start to end inclusive at a fixed rate
+   * @param {Object} range - { start, end, fps }
+   * @returns {Array} Frame times in seconds
+   */
+  const frameTimes = ({ start, end, fps }) => {
+    if (!(fps > 0) || !Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+      throw new Error('FrameExport: expected fps > 0 and a finite range with end >= start');
+    }
+    // Tolerate float error so an exact end time still gets its frame
+    const count = Math.floor((end - start) * fps + 1e-9) + 1;
+    return Array.from({ length: count }, (_, index) => start + index / fps);
+  };
+
+  /**
+   * Renders a frame sequence
+   * @param {Object} options - Export options
+   * @param {number} options.start - First frame time in seconds
+   * @param {number} options.end - Last frame time in seconds (defaults to the animation duration)
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.width - Output width (defaults to the viewport width)
+   * @param {number} options.height - Output height (defaults to the viewport height)
+   * @param {boolean} options.includeDomains - Draw domain outlines
+   * @param {boolean} options.mergeLines - One path per grid line instead of one per cell
+   * @param {Function} options.rasterizer - Optional (svg, { width, height, time, index }) => RGBA bytes, may be async
+   * @param {Function} options.write - Optional async (fileName, data) sink; without it files are returned in memory
+   * @param {string} options.prefix - Frame file name prefix
+   * @param {Function} options.onProgress - Optional ({ index, total, time }) callback
+   * @returns {Promise<Object>} { manifest, files }; files maps names to data when no sink is given
+   */
+  const exportFrameSequence = async ({
+    start = 0,
+    end = gridModule.getAnimationDuration(),
+    fps = 30,
+    width = gridModule.getState().viewportDimensions.width,
+    height = gridModule.getState().viewportDimensions.height,
+    includeDomains = gridModule.getParameters().grid.showDomains,
+    mergeLines = true,
+    rasterizer = null,
+    write = null,
+    prefix = 'frame-',
+    onProgress = null
+  } = {}) => {
+    const times = frameTimes({ start, end, fps });
+    const digits = Math.max(5, String(times.length - 1).length);
+    const files = new Map();
+    const sink = write || (async (name, data) => {
+      files.set(name, data);
+    });
+
+    // Playback would move the timeline between frames; it resumes afterwards with its own options
+    const playbackOptions = gridModule.getPlaybackOptions();
+    gridModule.pause();
+    const originalTime = gridModule.getTime();
+
+    const frames = [];
+    try {
+      for (const [index, time] of times.entries()) {
+        gridModule.setTime(time);
+        const svg = gridModule.exportSVG({ width, height, includeDomains, mergeLines });
+        const name = `${prefix}${String(index).padStart(digits, '0')}`;
+        const frame = { index, time, svg: `${name}.svg` };
+        await sink(frame.svg, svg);
+
+        if (rasterizer) {
+          const pixels = await rasterizer(svg, { width, height, time, index });
+          if (!pixels || pixels.length !== width * height * 4) {
+            throw new Error(`FrameExport: rasterizer must return ${width * height * 4} RGBA bytes for frame ${index}`);
+          }
+          frame.rgba = `${name}.rgba`;
+          await sink(frame.rgba, pixels instanceof Uint8Array ? pixels : new Uint8Array(pixels.buffer, pixels.byteOffset, pixels.byteLength));
+        }
+
+        frames.push(frame);
+        onProgress?.({ index, total: times.length, time });
+      }
+    } finally {
+      // Also when a rasterizer or sink throws, so a failed export does not leave playback stopped
+      gridModule.setTime(originalTime);
+      if (playbackOptions) {
+        gridModule.play(playbackOptions);
+      }
+    }
+
+    const manifest = {
+      format: MANIFEST_FORMAT,
+      version: MANIFEST_VERSION,
+      fps,
+      start,
+      end,
+      frameCount: frames.length,
+      width,
+      height,
+      // Raw frames are row-major, top-to-bottom, 8 bits per channel
+      rgba: rasterizer ? { channels: 4, bitsPerChannel: 8 } : null,
+      parameters: JSON.parse(JSON.stringify(gridModule.getParameters())),
+      view: { zoomLevel: gridModule.getState().zoomLevel, panOffset: { ...gridModule.getState().panOffset } },
+      frames
+    };
+    await sink('manifest.json', JSON.stringify(manifest, null, 2));
+    return { manifest, files: write ? null : files };
+  };
+
+  return {
+    MANIFEST_FORMAT,
+    MANIFEST_VERSION,
+    frameTimes,
+    exportFrameSequence
+  };
+};
+
+/**
+ * Creates a Node sink that writes exported files into a directory, creating it if needed
+ * @param {string} directory - Output directory
+ * @returns {Promise<Function>} async (fileName, data) writer
+ */
+const createFileSink = async (directory) => {
+  const fs = await import('node:fs/promises');
+  const path = await import('node:path');
+  await fs.mkdir(directory, { recursive: true });
+  return (name, data) => fs.writeFile(path.join(directory, name), data);
+};
+
+export { createFrameExportModule, createFileSink };
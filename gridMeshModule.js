@@ -0,0 +1,148 @@
+/**
+ * Creates a grid mesh module: structure-of-arrays storage for lattice grids.
+ *
+ * A mesh keeps every vertex once, in flat typed arrays:
+ *   original          Float64Array [x0, y0, x1, y1, ...] in original space
+ *   transformed       Float64Array in the same layout, filled by the owner
+ *   cellIndices       Uint32Array of vertex indices, cell after cell
+ *   cellOffsets       Uint32Array; cell i uses cellIndices[cellOffsets[i]] up to cellOffsets[i + 1]
+ *   lineIndices, lineOffsets, lineOrientations   The same for grid lines (one path per line)
+ *
+ * The cell and line views build plain { original, transformed } point arrays on demand,
+ * in the shape generateGridCells and generateGridLines have always returned.
+ * @returns {Object} Grid mesh module with mesh builders
+ */
+const createGridMeshModule = () => {
+  /**
+   * Wraps mesh buffers with the cell and line view API
+   * @param {Object} buffers - { original, cellIndices, cellOffsets, lineIndices, lineOffsets, lineOrientations }
+   * @returns {Object} Mesh
+   */
+  const createMesh = ({ original, cellIndices, cellOffsets, lineIndices, lineOffsets, lineOrientations }) => {
+    const transformed = new Float64Array(original.length);
+
+    const pointAt = (buffer, vertex) => ({ x: buffer[2 * vertex], y: buffer[2 * vertex + 1] });
+
+    const getCellIndices = (cellIndex) => cellIndices.subarray(cellOffsets[cellIndex], cellOffsets[cellIndex + 1]);
+
+    const getLineIndices = (lineIndex) => lineIndices.subarray(lineOffsets[lineIndex], lineOffsets[lineIndex + 1]);
+
+    const getCell = (cellIndex) => {
+      const indices = getCellIndices(cellIndex);
+      return {
+        original: Array.from(indices, vertex => pointAt(original, vertex)),
+        transformed: Array.from(indices, vertex => pointAt(transformed, vertex))
+      };
+    };
+
+    const getLine = (lineIndex) => {
+      const indices = getLineIndices(lineIndex);
+      return {
+        orientation: lineOrientations[lineIndex],
+        original: Array.from(indices, vertex => pointAt(original, vertex)),
+        transformed: Array.from(indices, vertex => pointAt(transformed, vertex))
+      };
+    };
+
+    return {
+      vertexCount: original.length / 2,
+      cellCount: cellOffsets.length - 1,
+      lineCount: lineOffsets.length - 1,
+      original,
+      transformed,
+      cellIndices,
+      cellOffsets,
+      lineIndices,
+      lineOffsets,
+      lineOrientations,
+
+      getCellIndices,
+      getLineIndices,
+      getCell,
+      getLine,
+      getPoint: (vertex) => ({ original: pointAt(original, vertex), transformed: pointAt(transformed, vertex) }),
+      getOriginalPoint: (vertex) => pointAt(original, vertex),
+      getTransformedPoint: (vertex) => pointAt(transformed, vertex)
+    };
+  };
+
+  /**
+   * Packs variable-length index lists into an index buffer and an offset buffer
+   * @param {Array} lists - Arrays of vertex indices
+   * @returns {Object} { indices, offsets }
+   */
+  const packIndexLists = (lists) => {
+    const offsets = new Uint32Array(lists.length + 1);
+    lists.forEach((list, i) => {
+      offsets[i + 1] = offsets[i] + list.length;
+    });
+    const indices = new Uint32Array(offsets[lists.length]);
+    lists.forEach((list, i) => indices.set(list, offsets[i]));
+    return { indices, offsets };
+  };
+
+  /**
+   * Builds a mesh from cell polygons, merging vertices that coincide
+   * @param {Array} cells - Cell polygons (arrays of original-space points)
+   * @param {Array|null} lines - [{ orientation, original }] line families, or null to use each cell edge once
+   * @returns {Object} Mesh
+   */
+  const meshFromCells = (cells, lines = null) => {
+    const vertexKeys = new Map();
+    const coordinates = [];
+
+    // Rounded keys merge the copies of a shared corner computed by neighbouring cells;
+    // tiny negatives would round to "-0.000000" and miss their positive twins
+    const round = (value) => (Math.abs(value) < 5e-7 ? 0 : value).toFixed(6);
+    const vertexIndex = (p) => {
+      const key = `${round(p.x)},${round(p.y)}`;
+      let index = vertexKeys.get(key);
+      if (index === undefined) {
+        index = coordinates.length / 2;
+        vertexKeys.set(key, index);
+        coordinates.push(p.x, p.y);
+      }
+      return index;
+    };
+
+    const cellLists = cells.map(cell => cell.map(vertexIndex));
+
+    let lineLists;
+    let lineOrientations;
+    if (lines) {
+      lineLists = lines.map(line => line.original.map(vertexIndex));
+      lineOrientations = lines.map(line => line.orientation);
+    } else {
+      const seen = new Set();
+      lineLists = [];
+      cellLists.forEach(list => list.forEach((a, i) => {
+        const b = list[(i + 1) % list.length];
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          lineLists.push([a, b]);
+        }
+      }));
+      lineOrientations = lineLists.map(() => 'edge');
+    }
+
+    const cellBuffers = packIndexLists(cellLists);
+    const lineBuffers = packIndexLists(lineLists);
+    return createMesh({
+      original: Float64Array.from(coordinates),
+      cellIndices: cellBuffers.indices,
+      cellOffsets: cellBuffers.offsets,
+      lineIndices: lineBuffers.indices,
+      lineOffsets: lineBuffers.offsets,
+      lineOrientations
+    });
+  };
+
+  return {
+    createMesh,
+    meshFromCells,
+    packIndexLists
+  };
+};
+
+export { createGridMeshModule };
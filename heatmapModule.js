@@ -0,0 +1,141 @@
+/**
+ * Creates a heatmap module that maps scalar fields to colors and lays out legends
+ * @returns {Object} Heatmap module with palettes, color sampling and legend helpers
+ */
+const createHeatmapModule = () => {
+  // Color stops per palette, evenly spaced from low to high values
+  const palettes = {
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    magma: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'],
+    coolwarm: ['#3b4cc0', '#8db0fe', '#dddddd', '#f49a7b', '#b40426'],
+    grayscale: ['#000000', '#ffffff']
+  };
+
+  // Parsed RGB stops, filled lazily per palette
+  const parsedStops = new Map();
+
+  /**
+   * Parses a #rrggbb color into components
+   * @param {string} hex - Color string
+   * @returns {Array} [r, g, b]
+   */
+  const parseHex = (hex) => {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  };
+
+  /**
+   * Registers a custom palette
+   * @param {string} name - Palette name
+   * @param {Array} stops - At least two #rrggbb colors, low to high
+   */
+  const registerPalette = (name, stops) => {
+    if (!Array.isArray(stops) || stops.length < 2) {
+      throw new Error(`HeatmapModule: palette "${name}" needs at least two color stops`);
+    }
+    palettes[name] = [...stops];
+    parsedStops.delete(name);
+  };
+
+  /**
+   * Samples a palette at a normalized position
+   * @param {string} palette - Palette name
+   * @param {number} t - Position in [0, 1]; values outside are clamped
+   * @returns {string} CSS rgb() color
+   */
+  const sampleColor = (palette, t) => {
+    if (!palettes[palette]) {
+      throw new Error(`HeatmapModule: unknown palette "${palette}"`);
+    }
+    if (!parsedStops.has(palette)) {
+      parsedStops.set(palette, palettes[palette].map(parseHex));
+    }
+
+    const stops = parsedStops.get(palette);
+    const clamped = Number.isFinite(t) ? Math.min(1, Math.max(0, t)) : 0;
+    const scaled = clamped * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(scaled));
+    const local = scaled - index;
+
+    const [r, g, b] = stops[index].map((channel, i) =>
+      Math.round(channel + (stops[index + 1][i] - channel) * local)
+    );
+    return `rgb(${r}, ${g}, ${b})`;
+  };
+
+  /**
+   * Determines the value range, honouring fixed bounds where given
+   * @param {Array} values - Scalar values
+   * @param {Object} bounds - { min, max }, either may be null for automatic
+   * @returns {Object} { min, max }
+   */
+  const computeRange = (values, { min = null, max = null } = {}) => {
+    // A single pass: spreading large grids into Math.min/max exceeds the argument limit
+    const auto = values.reduce((range, value) => (Number.isFinite(value)
+      ? { min: Math.min(range.min, value), max: Math.max(range.max, value) }
+      : range), { min: Infinity, max: -Infinity });
+    const hasValues = auto.min <= auto.max;
+    return {
+      min: min ?? (hasValues ? auto.min : 0),
+      max: max ?? (hasValues ? auto.max : 1)
+    };
+  };
+
+  /**
+   * Maps a value into [0, 1] within a range
+   * @param {number} value - Scalar value
+   * @param {Object} range - { min, max }
+   * @returns {number} Normalized position
+   */
+  const normalize = (value, { min, max }) => {
+    if (max === min) {
+      return 0.5;
+    }
+    return (value - min) / (max - min);
+  };
+
+  /**
+   * Formats a legend tick value compactly
+   * @param {number} value - Tick value
+   * @returns {string} Label
+   */
+  const formatTick = (value) => {
+    if (!Number.isFinite(value)) return String(value);
+    const magnitude = Math.abs(value);
+    return magnitude !== 0 && (magnitude < 0.01 || magnitude >= 1e4)
+      ? value.toExponential(1)
+      : String(Number(value.toFixed(2)));
+  };
+
+  /**
+   * Builds a legend description: gradient swatches and tick labels
+   * @param {Object} config - Legend configuration
+   * @param {string} config.palette - Palette name
+   * @param {Object} config.range - { min, max }
+   * @param {string} config.label - Field label
+   * @param {number} config.steps - Number of gradient swatches
+   * @returns {Object} { label, swatches: [{ t, color }], ticks: [{ t, label }] }
+   */
+  const buildLegend = ({ palette, range, label, steps = 32 }) => ({
+    label,
+    swatches: Array.from({ length: steps }, (_, i) => {
+      const t = i / (steps - 1);
+      return { t, color: sampleColor(palette, t) };
+    }),
+    ticks: [0, 0.5, 1].map(t => ({
+      t,
+      label: formatTick(range.min + (range.max - range.min) * t)
+    }))
+  });
+
+  return {
+    getPalettes: () => Object.keys(palettes),
+    registerPalette,
+    sampleColor,
+    computeRange,
+    normalize,
+    buildLegend
+  };
+};
+
+export { createHeatmapModule };
@@ -0,0 +1,239 @@
+/**
+ * Creates a command history with undo/redo, grouped transactions and a depth limit
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxDepth - Maximum number of undoable steps kept
+ * @returns {Object} History module with methods for recording and replaying commands
+ */
+const createHistoryModule = (options = {}) => {
+  // Past and future command stacks
+  const undoStack = [];
+  const redoStack = [];
+  // Listeners notified after every change to the stacks
+  const listeners = new Set();
+
+  let maxDepth = options.maxDepth ?? 100;
+  // Open transaction groups; commands recorded while non-empty go to the innermost group
+  const transactionStack = [];
+  // True while a command is being undone or redone, so nested mutations are not re-recorded
+  let isReplaying = false;
+
+  /**
+   * Notifies listeners about a change to the history
+   * @param {string} type - 'record', 'undo', 'redo' or 'clear'
+   * @param {Object|null} command - Command involved in the change
+   */
+  const emitChange = (type, command) => {
+    const event = {
+      type,
+      label: command ? command.label : null,
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoDepth: undoStack.length,
+      redoDepth: redoStack.length
+    };
+    listeners.forEach(listener => listener(event));
+  };
+
+  /**
+   * Drops the oldest steps until the undo stack fits in maxDepth
+   */
+  const enforceDepth = () => {
+    while (undoStack.length > maxDepth) {
+      undoStack.shift();
+    }
+  };
+
+  /**
+   * Combines several commands into a single undoable step
+   * @param {string} label - Description of the group
+   * @param {Array} commands - Commands in execution order
+   * @returns {Object} Composite command
+   */
+  const createGroup = (label, commands) => ({
+    label,
+    undo: () => {
+      for (let i = commands.length - 1; i >= 0; i--) {
+        commands[i].undo();
+      }
+    },
+    redo: () => {
+      commands.forEach(command => command.redo());
+    }
+  });
+
+  /**
+   * Records a command whose effect has already been applied
+   * @param {Object} command - { label, undo(), redo() }
+   */
+  const record = (command) => {
+    if (isReplaying) {
+      return;
+    }
+
+    if (transactionStack.length > 0) {
+      transactionStack[transactionStack.length - 1].commands.push(command);
+      return;
+    }
+
+    undoStack.push(command);
+    redoStack.length = 0;
+    enforceDepth();
+    emitChange('record', command);
+  };
+
+  /**
+   * Opens a transaction; everything recorded until endTransaction becomes one step
+   * @param {string} label - Description of the step
+   */
+  const beginTransaction = (label = 'Transaction') => {
+    transactionStack.push({ label, commands: [] });
+  };
+
+  /**
+   * Closes the innermost transaction and records it as a single step
+   * @returns {boolean} True if the transaction contained any commands; false if it was
+   *   empty or no transaction was open
+   */
+  const endTransaction = () => {
+    const transaction = transactionStack.pop();
+    if (!transaction) {
+      return false;
+    }
+    if (transaction.commands.length === 0) {
+      return false;
+    }
+
+    const command = transaction.commands.length === 1
+      ? { ...transaction.commands[0], label: transaction.label }
+      : createGroup(transaction.label, transaction.commands);
+    record(command);
+    return true;
+  };
+
+  /**
+   * Closes the innermost transaction and reverts everything it recorded
+   */
+  const cancelTransaction = () => {
+    const transaction = transactionStack.pop();
+    if (!transaction) {
+      return;
+    }
+    replay(() => createGroup(transaction.label, transaction.commands).undo());
+  };
+
+  /**
+   * Runs fn inside a transaction. If fn throws, the steps it recorded are rolled
+   * back and the error is rethrown, so no half-done edit reaches the undo stack.
+   * @param {string} label - Description of the step
+   * @param {Function} fn - Mutations to group
+   * @returns {any} Return value of fn
+   */
+  const transaction = (label, fn) => {
+    beginTransaction(label);
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      cancelTransaction();
+      throw error;
+    }
+    endTransaction();
+    return result;
+  };
+
+  /**
+   * Executes fn with recording suppressed
+   * @param {Function} fn - Replay operation
+   */
+  const replay = (fn) => {
+    isReplaying = true;
+    try {
+      fn();
+    } finally {
+      isReplaying = false;
+    }
+  };
+
+  /**
+   * Reverts the most recent step
+   * @returns {boolean} True if a step was undone
+   */
+  const undo = () => {
+    if (transactionStack.length > 0 || undoStack.length === 0) {
+      return false;
+    }
+    const command = undoStack.pop();
+    replay(() => command.undo());
+    redoStack.push(command);
+    emitChange('undo', command);
+    return true;
+  };
+
+  /**
+   * Re-applies the most recently undone step
+   * @returns {boolean} True if a step was redone
+   */
+  const redo = () => {
+    if (transactionStack.length > 0 || redoStack.length === 0) {
+      return false;
+    }
+    const command = redoStack.pop();
+    replay(() => command.redo());
+    undoStack.push(command);
+    emitChange('redo', command);
+    return true;
+  };
+
+  /**
+   * Discards all recorded steps
+   */
+  const clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    transactionStack.length = 0;
+    emitChange('clear', null);
+  };
+
+  /**
+   * Sets the maximum number of undoable steps, trimming the oldest if needed
+   * @param {number} depth - New limit
+   * @returns {number} The applied limit
+   */
+  const setMaxDepth = (depth) => {
+    maxDepth = Math.max(1, Math.floor(depth));
+    enforceDepth();
+    return maxDepth;
+  };
+
+  /**
+   * Subscribes to history changes
+   * @param {Function} listener - Called with a change event
+   * @returns {Function} Unsubscribe function
+   */
+  const onChange = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    beginTransaction,
+    endTransaction,
+    cancelTransaction,
+    transaction,
+    clear,
+    setMaxDepth,
+    onChange,
+    canUndo: () => undoStack.length > 0 && transactionStack.length === 0,
+    canRedo: () => redoStack.length > 0 && transactionStack.length === 0,
+    isReplaying: () => isReplaying,
+    getLabels: () => ({
+      undo: undoStack.map(command => command.label),
+      redo: redoStack.map(command => command.label)
+    })
+  };
+};
+
+export { createHistoryModule };
@@ -0,0 +1,441 @@
+import { createGridMeshModule } from './gridMeshModule.js';
+
+/**
+ * Creates a lattice module that lays out the base grid in original space.
+ *
+ * A lattice provides:
+ *   cells(bounds, size, options)       Polygons (arrays of original-space points) covering bounds
+ *   nearestVertex(point, size, options) Closest lattice vertex to an original-space point
+ *   lines(bounds, size, options)       Optional; [{ orientation, original }] polylines for merged drawing
+ *   mesh(bounds, size, options)        Optional; builds the typed-array mesh directly (see gridMeshModule.js)
+ *
+ * Cell vertices are listed in the same winding as the square lattice's quads, so
+ * signed-area based analysis reads every lattice the same way.
+ * @returns {Object} Lattice module with the built-in lattices and a registry
+ */
+const createLatticeModule = () => {
+  const SQRT3 = Math.sqrt(3);
+  const gridMeshModule = createGridMeshModule();
+
+  // Floor modulo, so odd/even row offsets also work for negative rows
+  const parity = (n) => ((n % 2) + 2) % 2;
+
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+  // Closest candidate to a point
+  const closest = (point, candidates) => candidates.reduce((best, candidate) =>
+    distance(point, candidate) < distance(point, best) ? candidate : best
+  );
+
+  // Whether a polygon's bounding box meets bounds grown by a margin
+  const overlapsBounds = (points, { startX, startY, endX, endY }, margin) =>
+    points.some(p => p.x >= startX - margin) && points.some(p => p.x <= endX + margin) &&
+    points.some(p => p.y >= startY - margin) && points.some(p => p.y <= endY + margin);
+
+  // ------------------- SQUARE -------------------
+
+  const square = {
+    cells: ({ startX, startY, endX, endY }, size) => {
+      const cells = [];
+      for (let x = startX; x < endX; x += size) {
+        for (let y = startY; y < endY; y += size) {
+          cells.push([
+            { x, y },
+            { x: x + size, y },
+            { x: x + size, y: y + size },
+            { x, y: y + size }
+          ]);
+        }
+      }
+      return cells;
+    },
+
+    nearestVertex: (point, size) => ({
+      x: Math.round(point.x / size) * size,
+      y: Math.round(point.y / size) * size
+    }),
+
+    lines: ({ startX, startY, endX, endY }, size) => {
+      const lines = [];
+      for (let x = startX; x <= endX; x += size) {
+        const original = [];
+        for (let y = startY; y <= endY; y += size) {
+          original.push({ x, y });
+        }
+        lines.push({ orientation: 'vertical', original });
+      }
+      for (let y = startY; y <= endY; y += size) {
+        const original = [];
+        for (let x = startX; x <= endX; x += size) {
+          original.push({ x, y });
+        }
+        lines.push({ orientation: 'horizontal', original });
+      }
+      return lines;
+    },
+
+    // Same cells and lines as above, written straight into typed arrays
+    mesh: ({ startX, startY, endX, endY }, size) => {
+      const columns = Math.round((endX - startX) / size);
+      const rows = Math.round((endY - startY) / size);
+      const vertex = (ix, iy) => ix * (rows + 1) + iy;
+
+      const original = new Float64Array((columns + 1) * (rows + 1) * 2);
+      for (let ix = 0; ix <= columns; ix++) {
+        for (let iy = 0; iy <= rows; iy++) {
+          original[2 * vertex(ix, iy)] = startX + ix * size;
+          original[2 * vertex(ix, iy) + 1] = startY + iy * size;
+        }
+      }
+
+      const cellIndices = new Uint32Array(columns * rows * 4);
+      const cellOffsets = Uint32Array.from({ length: columns * rows + 1 }, (_, i) => i * 4);
+      let offset = 0;
+      for (let ix = 0; ix < columns; ix++) {
+        for (let iy = 0; iy < rows; iy++) {
+          cellIndices.set([vertex(ix, iy), vertex(ix + 1, iy), vertex(ix + 1, iy + 1), vertex(ix, iy + 1)], offset);
+          offset += 4;
+        }
+      }
+
+      const lineLists = [];
+      for (let ix = 0; ix <= columns; ix++) {
+        lineLists.push(Array.from({ length: rows + 1 }, (_, iy) => vertex(ix, iy)));
+      }
+      for (let iy = 0; iy <= rows; iy++) {
+        lineLists.push(Array.from({ length: columns + 1 }, (_, ix) => vertex(ix, iy)));
+      }
+      const lineBuffers = gridMeshModule.packIndexLists(lineLists);
+
+      return gridMeshModule.createMesh({
+        original,
+        cellIndices,
+        cellOffsets,
+        lineIndices: lineBuffers.indices,
+        lineOffsets: lineBuffers.offsets,
+        lineOrientations: lineLists.map((_, i) => (i <= columns ? 'vertical' : 'horizontal'))
+      });
+    }
+  };
+
+  // ------------------- TRIANGULAR -------------------
+
+  // Rows of equilateral triangles with side `size`; odd rows shift by half a side.
+  // rows and columns number the cells, starting one before bounds; vertices reach one further.
+  const triangularLayout = ({ startX, startY, endX, endY }, size) => {
+    const rowHeight = size * SQRT3 / 2;
+    return {
+      rows: { first: Math.floor(startY / rowHeight) - 1, last: Math.ceil(endY / rowHeight) },
+      columns: { first: Math.floor(startX / size) - 1, last: Math.ceil(endX / size) },
+      vertex: (i, j) => ({ x: i * size + parity(j) * size / 2, y: j * rowHeight })
+    };
+  };
+
+  const triangular = {
+    cells: (bounds, size) => {
+      const { rows, columns, vertex } = triangularLayout(bounds, size);
+      const cells = [];
+
+      for (let j = rows.first; j <= rows.last; j++) {
+        for (let i = columns.first; i <= columns.last; i++) {
+          if (parity(j) === 0) {
+            cells.push([vertex(i, j), vertex(i + 1, j), vertex(i, j + 1)]);
+            cells.push([vertex(i + 1, j), vertex(i + 1, j + 1), vertex(i, j + 1)]);
+          } else {
+            cells.push([vertex(i, j), vertex(i + 1, j + 1), vertex(i, j + 1)]);
+            cells.push([vertex(i, j), vertex(i + 1, j), vertex(i + 1, j + 1)]);
+          }
+        }
+      }
+      return cells;
+    },
+
+    nearestVertex: (point, size) => {
+      const rowHeight = size * SQRT3 / 2;
+      const row = Math.floor(point.y / rowHeight);
+      const candidates = [row, row + 1].map(j => {
+        const offset = parity(j) * size / 2;
+        return { x: Math.round((point.x - offset) / size) * size + offset, y: j * rowHeight };
+      });
+      return closest(point, candidates);
+    },
+
+    // Straight lines through the cells' vertices: one per vertex row, and the two diagonal
+    // families walked downwards row by row for as long as they stay on the cells' vertices
+    lines: (bounds, size) => {
+      const { rows, columns, vertex } = triangularLayout(bounds, size);
+      const lastRow = rows.last + 1;
+      const lastColumn = columns.last + 1;
+      const onGrid = (i, j) => j >= rows.first && j <= lastRow && i >= columns.first && i <= lastColumn;
+      const lines = [];
+
+      for (let j = rows.first; j <= lastRow; j++) {
+        const original = [];
+        for (let i = columns.first; i <= lastColumn; i++) {
+          original.push(vertex(i, j));
+        }
+        lines.push({ orientation: 'horizontal', original });
+      }
+
+      // Columns of the neighbouring vertices one row down and one row up; odd rows sit half a side right
+      const diagonals = [
+        { orientation: 'falling', next: (i, j) => i + parity(j), previous: (i, j) => i - parity(j - 1) },
+        { orientation: 'rising', next: (i, j) => i - 1 + parity(j), previous: (i, j) => i + 1 - parity(j - 1) }
+      ];
+      diagonals.forEach(({ orientation, next, previous }) => {
+        for (let j = rows.first; j <= lastRow; j++) {
+          for (let i = columns.first; i <= lastColumn; i++) {
+            // Start only where the line enters the grid, so each line is walked once
+            if (onGrid(previous(i, j), j - 1)) continue;
+            const original = [];
+            for (let column = i, row = j; onGrid(column, row); column = next(column, row), row++) {
+              original.push(vertex(column, row));
+            }
+            if (original.length > 1) {
+              lines.push({ orientation, original });
+            }
+          }
+        }
+      });
+      return lines;
+    }
+
+  };
+
+  // ------------------- HEXAGONAL -------------------
+
+  // Pointy-top hexagons whose centers are `size` apart; odd rows shift by half a column.
+  // Corner k sits at k * 60 degrees clockwise from the top.
+  const hexagonalLayout = ({ startX, startY, endX, endY }, size) => {
+    const radius = size / SQRT3;
+    const rowHeight = radius * 1.5;
+    return {
+      radius,
+      rows: { first: Math.floor(startY / rowHeight) - 1, last: Math.ceil(endY / rowHeight) + 1 },
+      columns: { first: Math.floor(startX / size) - 1, last: Math.ceil(endX / size) + 1 },
+      center: (i, j) => ({ x: i * size + parity(j) * size / 2, y: j * rowHeight })
+    };
+  };
+
+  const hexCorner = (center, radius, k) => {
+    const angle = (k * 60 - 90) * Math.PI / 180;
+    return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+  };
+
+  const hexagonal = {
+    cells: (bounds, size) => {
+      const { radius, rows, columns, center } = hexagonalLayout(bounds, size);
+      const cells = [];
+
+      for (let j = rows.first; j <= rows.last; j++) {
+        for (let i = columns.first; i <= columns.last; i++) {
+          cells.push(Array.from({ length: 6 }, (_, k) => hexCorner(center(i, j), radius, k)));
+        }
+      }
+      return cells;
+    },
+
+    nearestVertex: (point, size) => {
+      const radius = size / SQRT3;
+      const rowHeight = radius * 1.5;
+      const row = Math.round(point.y / rowHeight);
+
+      // The hexagon containing the point has the nearest center, and the nearest vertex is one of its corners
+      const centers = [row - 1, row, row + 1].map(j => {
+        const offset = parity(j) * size / 2;
+        return { x: Math.round((point.x - offset) / size) * size + offset, y: j * rowHeight };
+      });
+      const center = closest(point, centers);
+
+      return closest(point, Array.from({ length: 6 }, (_, k) => hexCorner(center, radius, k)));
+    },
+
+    // One zig-zag along each boundary between rows, made of the slanted edges above and below it.
+    // The zig-zags use two of the three edges at every corner, so the vertical sides stay single edges.
+    lines: (bounds, size) => {
+      const { radius, rows, columns, center } = hexagonalLayout(bounds, size);
+      const lines = [];
+
+      // Horizontal extent of the slanted edges on top of (and, shared, below) row j
+      const rowSpan = (j) => ({
+        min: center(columns.first, j).x - size / 2,
+        max: center(columns.last, j).x + size / 2
+      });
+      const margin = size * 1e-6;
+
+      // Boundary j runs along the tops of row j, which are the bottoms of row j - 1
+      for (let j = rows.first; j <= rows.last + 1; j++) {
+        const spans = [j - 1, j].filter(row => row >= rows.first && row <= rows.last).map(rowSpan);
+        const min = Math.min(...spans.map(span => span.min)) - margin;
+        const max = Math.max(...spans.map(span => span.max)) + margin;
+
+        const zigzag = [];
+        for (let i = columns.first - 1; i <= columns.last + 1; i++) {
+          zigzag.push(hexCorner(center(i, j), radius, 5), hexCorner(center(i, j), radius, 0));
+        }
+        zigzag.push(hexCorner(center(columns.last + 1, j), radius, 1));
+        lines.push({ orientation: 'zigzag', original: zigzag.filter(p => p.x >= min && p.x <= max) });
+      }
+
+      // Right side of every hexagon, and the left side of the first in each row
+      for (let j = rows.first; j <= rows.last; j++) {
+        const first = center(columns.first, j);
+        lines.push({ orientation: 'vertical', original: [hexCorner(first, radius, 5), hexCorner(first, radius, 4)] });
+        for (let i = columns.first; i <= columns.last; i++) {
+          lines.push({ orientation: 'vertical', original: [hexCorner(center(i, j), radius, 1), hexCorner(center(i, j), radius, 2)] });
+        }
+      }
+      return lines;
+    }
+  };
+
+  // ------------------- POLAR -------------------
+
+  // Rings `size` apart and evenly spaced spokes around options.polarCenter.
+  // Ring arcs are sampled so no chord is longer than one ring spacing.
+  const polarLayout = ({ startX, startY, endX, endY }, size, { polarCenter = { x: 0, y: 0 }, polarSpokes = 24 }) => {
+    const nearestX = Math.min(Math.max(polarCenter.x, startX), endX);
+    const nearestY = Math.min(Math.max(polarCenter.y, startY), endY);
+    const farthest = Math.max(
+      ...[[startX, startY], [endX, startY], [endX, endY], [startX, endY]]
+        .map(([x, y]) => Math.hypot(x - polarCenter.x, y - polarCenter.y))
+    );
+    const spokeAngle = 2 * Math.PI / polarSpokes;
+
+    return {
+      center: polarCenter,
+      spokes: polarSpokes,
+      firstRing: Math.floor(Math.hypot(nearestX - polarCenter.x, nearestY - polarCenter.y) / size),
+      lastRing: Math.ceil(farthest / size),
+      spokeAngle,
+      // Samples per spoke interval on ring k: the arc is k * size * spokeAngle long
+      segmentsOnRing: (k) => Math.max(1, Math.ceil(k * spokeAngle)),
+      pointAt: (radius, angle) => ({
+        x: polarCenter.x + radius * Math.cos(angle),
+        y: polarCenter.y + radius * Math.sin(angle)
+      })
+    };
+  };
+
+  // Points along ring k from spoke m to spoke m + 1, both ends included
+  const ringArc = (layout, size, k, m) => {
+    const segments = layout.segmentsOnRing(k);
+    return Array.from({ length: segments + 1 }, (_, s) =>
+      layout.pointAt(k * size, (m + s / segments) * layout.spokeAngle)
+    );
+  };
+
+  const polar = {
+    cells: (bounds, size, options) => {
+      const layout = polarLayout(bounds, size, options);
+      const cells = [];
+
+      for (let k = layout.firstRing; k < layout.lastRing; k++) {
+        for (let m = 0; m < layout.spokes; m++) {
+          const outer = ringArc(layout, size, k + 1, m);
+          // The innermost ring degenerates to the center, leaving triangular sectors
+          const inner = k === 0 ? [{ ...layout.center }] : ringArc(layout, size, k, m).reverse();
+          cells.push([...inner.slice(-1), ...outer, ...inner.slice(0, -1)]);
+        }
+      }
+      // Sectors on the far side of the center can miss the bounds entirely
+      return cells.filter(cell => overlapsBounds(cell, bounds, size));
+    },
+
+    nearestVertex: (point, size, options) => {
+      const { polarCenter = { x: 0, y: 0 }, polarSpokes = 24 } = options;
+      const spokeAngle = 2 * Math.PI / polarSpokes;
+      const radius = Math.hypot(point.x - polarCenter.x, point.y - polarCenter.y);
+      const angle = Math.atan2(point.y - polarCenter.y, point.x - polarCenter.x);
+
+      const ring = Math.floor(radius / size);
+      const spoke = Math.floor(angle / spokeAngle);
+      const candidates = [{ ...polarCenter }];
+      [ring, ring + 1].filter(k => k > 0).forEach(k => {
+        [spoke, spoke + 1].forEach(m => {
+          candidates.push({
+            x: polarCenter.x + k * size * Math.cos(m * spokeAngle),
+            y: polarCenter.y + k * size * Math.sin(m * spokeAngle)
+          });
+        });
+      });
+      return closest(point, candidates);
+    },
+
+    lines: (bounds, size, options) => {
+      const layout = polarLayout(bounds, size, options);
+      const lines = [];
+
+      for (let k = Math.max(1, layout.firstRing); k <= layout.lastRing; k++) {
+        const original = [];
+        for (let m = 0; m < layout.spokes; m++) {
+          original.push(...ringArc(layout, size, k, m).slice(0, -1));
+        }
+        original.push({ ...original[0] });
+        lines.push({ orientation: 'ring', original });
+      }
+      for (let m = 0; m < layout.spokes; m++) {
+        const original = [];
+        for (let k = layout.firstRing; k <= layout.lastRing; k++) {
+          original.push(layout.pointAt(k * size, m * layout.spokeAngle));
+        }
+        lines.push({ orientation: 'spoke', original });
+      }
+      return lines;
+    }
+  };
+
+  const lattices = { square, triangular, hexagonal, polar };
+
+  /**
+   * Registers a custom lattice
+   * @param {string} name - Lattice name
+   * @param {Object} lattice - Object with cells and nearestVertex functions, and optionally lines
+   */
+  const registerLattice = (name, lattice) => {
+    if (!lattice || typeof lattice.cells !== 'function' || typeof lattice.nearestVertex !== 'function') {
+      throw new Error(`LatticeModule: lattice "${name}" must provide cells and nearestVertex functions`);
+    }
+    lattices[name] = lattice;
+  };
+
+  /**
+   * Looks up a lattice by name
+   * @param {string} name - Lattice name
+   * @returns {Object} Lattice
+   */
+  const getLattice = (name) => {
+    if (!lattices[name]) {
+      throw new Error(`LatticeModule: unknown lattice "${name}"`);
+    }
+    return lattices[name];
+  };
+
+  /**
+   * Builds the typed-array mesh of a lattice over bounds
+   * @param {string} name - Lattice name
+   * @param {Object} bounds - { startX, startY, endX, endY }
+   * @param {number} size - Lattice spacing
+   * @param {Object} options - Lattice options
+   * @returns {Object} Mesh from gridMeshModule.js
+   */
+  const buildMesh = (name, bounds, size, options = {}) => {
+    const lattice = getLattice(name);
+    if (lattice.mesh) {
+      return lattice.mesh(bounds, size, options);
+    }
+    return gridMeshModule.meshFromCells(
+      lattice.cells(bounds, size, options),
+      lattice.lines ? lattice.lines(bounds, size, options) : null
+    );
+  };
+
+  return {
+    getLattices: () => Object.keys(lattices),
+    getLattice,
+    registerLattice,
+    buildMesh
+  };
+};
+
+export { createLatticeModule };
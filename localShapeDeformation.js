@@ -33,7 +33,32 @@ export const createDeformationModule = () => {
     toPoint: (z) => ({ x: z.re, y: z.im }),
     abs: (z) => Math.hypot(z.re, z.im),
     arg: (z) => Math.atan2(z.im, z.re),
-    conj: (z) => ({ re: z.re, im: -z.im })
+    conj: (z) => ({ re: z.re, im: -z.im }),
+    exp: (z) => {
+      const magnitude = Math.exp(z.re);
+      return { re: magnitude * Math.cos(z.im), im: magnitude * Math.sin(z.im) };
+    },
+    // Principal branch; the cut runs along the negative real axis
+    log: (z) => ({ re: Math.log(complex.abs(z)), im: complex.arg(z) }),
+    // z^w for a real or complex exponent, principal branch
+    pow: (z, w) => {
+      if (typeof w !== 'number') {
+        return complex.abs(z) === 0 ? { re: 0, im: 0 } : complex.exp(complex.multiply(w, complex.log(z)));
+      }
+      const magnitude = complex.abs(z) ** w;
+      const angle = complex.arg(z) * w;
+      return { re: magnitude * Math.cos(angle), im: magnitude * Math.sin(angle) };
+    },
+    // Principal square root (non-negative real part)
+    sqrt: (z) => {
+      const r = complex.abs(z);
+      return {
+        re: Math.sqrt((r + z.re) / 2),
+        im: (z.im < 0 ? -1 : 1) * Math.sqrt(Math.max(0, (r - z.re) / 2))
+      };
+    },
+    sin: (z) => ({ re: Math.sin(z.re) * Math.cosh(z.im), im: Math.cos(z.re) * Math.sinh(z.im) }),
+    cos: (z) => ({ re: Math.cos(z.re) * Math.cosh(z.im), im: -Math.sin(z.re) * Math.sinh(z.im) })
   };
 
   const geometry = {
@@ -129,6 +154,187 @@ export const createDeformationModule = () => {
     }
   };
 
+  const numerics = {
+    // Central-difference Jacobian of a 2D map: [[dfx/dx, dfx/dy], [dfy/dx, dfy/dy]]
+    jacobian: (fn, p, h = 1e-3) => {
+      const fxPlus = fn({ x: p.x + h, y: p.y });
+      const fxMinus = fn({ x: p.x - h, y: p.y });
+      const fyPlus = fn({ x: p.x, y: p.y + h });
+      const fyMinus = fn({ x: p.x, y: p.y - h });
+      return [
+        [(fxPlus.x - fxMinus.x) / (2 * h), (fyPlus.x - fyMinus.x) / (2 * h)],
+        [(fxPlus.y - fxMinus.y) / (2 * h), (fyPlus.y - fyMinus.y) / (2 * h)]
+      ];
+    },
+
+    // Solve fn(p) = target by Newton iterations with a backtracking line search.
+    // Returns the point along with { converged, iterations, residual }.
+    newtonInverse: (fn, target, {
+      tolerance = 1e-3,
+      maxIterations = 50,
+      step = 1e-3,
+      initialGuess = target
+    } = {}) => {
+      let guess = { x: initialGuess.x, y: initialGuess.y };
+      let forward = fn(guess);
+      let residual = Math.hypot(target.x - forward.x, target.y - forward.y);
+      let iterations = 0;
+
+      while (residual >= tolerance && iterations < maxIterations) {
+        iterations++;
+        const rx = target.x - forward.x;
+        const ry = target.y - forward.y;
+
+        // Newton direction from J * delta = r; fall back to the residual itself near singular Jacobians
+        const [[a, b], [c, d]] = numerics.jacobian(fn, guess, step);
+        const det = a * d - b * c;
+        const delta = Math.abs(det) > mathConstants.EPSILON
+          ? { x: (d * rx - b * ry) / det, y: (a * ry - c * rx) / det }
+          : { x: rx, y: ry };
+
+        // Halve the step until the residual decreases
+        let alpha = 1;
+        let accepted = false;
+        for (let i = 0; i < 12; i++) {
+          const candidate = { x: guess.x + alpha * delta.x, y: guess.y + alpha * delta.y };
+          const candidateForward = fn(candidate);
+          const candidateResidual = Math.hypot(target.x - candidateForward.x, target.y - candidateForward.y);
+          if (Number.isFinite(candidateResidual) && candidateResidual < residual) {
+            guess = candidate;
+            forward = candidateForward;
+            residual = candidateResidual;
+            accepted = true;
+            break;
+          }
+          alpha *= 0.5;
+        }
+
+        // No descent along the Newton direction: stuck at a fold or singularity
+        if (!accepted) break;
+      }
+
+      return {
+        x: guess.x,
+        y: guess.y,
+        converged: residual < tolerance,
+        iterations,
+        residual
+      };
+    },
+
+    // Every solution of fn(p) = target inside bounds ({ minX, minY, maxX, maxY }) that a grid of
+    // resolution x resolution cells can separate: each triangle whose image contains target seeds
+    // a Newton refinement. Solutions closer than `separation` count as one.
+    findPreimages: (fn, target, bounds, {
+      resolution = 32,
+      tolerance = 1e-6,
+      separation = 1e-2
+    } = {}) => {
+      const width = (bounds.maxX - bounds.minX) / resolution;
+      const height = (bounds.maxY - bounds.minY) / resolution;
+      const nodes = [];
+      for (let j = 0; j <= resolution; j++) {
+        for (let i = 0; i <= resolution; i++) {
+          const point = { x: bounds.minX + i * width, y: bounds.minY + j * height };
+          nodes.push({ point, image: fn(point) });
+        }
+      }
+
+      // Barycentric position of target in the image of triangle (u, v, w), mapped back to the domain.
+      // Triangles that only come close also seed: near a fold the image of a cell is a thin sliver
+      // that the curved map leaves target just outside of.
+      const seedIn = (u, v, w) => {
+        const ax = v.image.x - u.image.x, ay = v.image.y - u.image.y;
+        const bx = w.image.x - u.image.x, by = w.image.y - u.image.y;
+        const det = ax * by - ay * bx;
+        if (!(Math.abs(det) > mathConstants.EPSILON)) return null;
+        const px = target.x - u.image.x, py = target.y - u.image.y;
+        const s = (px * by - py * bx) / det;
+        const t = (ax * py - ay * px) / det;
+        if (s < -0.5 || t < -0.5 || s + t > 1.5) return null;
+        return {
+          x: u.point.x + s * (v.point.x - u.point.x) + t * (w.point.x - u.point.x),
+          y: u.point.y + s * (v.point.y - u.point.y) + t * (w.point.y - u.point.y)
+        };
+      };
+
+      const preimages = [];
+      const row = resolution + 1;
+      for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+          const corner = nodes[j * row + i];
+          const right = nodes[j * row + i + 1];
+          const below = nodes[(j + 1) * row + i];
+          const opposite = nodes[(j + 1) * row + i + 1];
+          for (const seed of [seedIn(corner, right, below), seedIn(opposite, below, right)]) {
+            if (!seed) continue;
+            const solution = numerics.newtonInverse(fn, target, { tolerance, initialGuess: seed });
+            if (solution.converged &&
+                preimages.every(p => Math.hypot(p.x - solution.x, p.y - solution.y) >= separation)) {
+              preimages.push({ x: solution.x, y: solution.y });
+            }
+          }
+        }
+      }
+      return preimages;
+    },
+
+    // Mark a converged newtonInverse result as unconverged (and ambiguous) when fn maps another
+    // point of any of the bounds onto target: on a folded map Newton can settle on a preimage
+    // that is not the point that was transformed.
+    rejectAmbiguousInverse: (result, fn, target, boundsList, { separation = 1e-2 } = {}) => {
+      if (!result.converged || boundsList.length === 0) return result;
+      // Refine first so that the comparison is not thrown off by the looser tolerance
+      const refined = numerics.newtonInverse(fn, target, { tolerance: 1e-6, initialGuess: result });
+      const found = refined.converged ? refined : result;
+      const ambiguous = boundsList.some(bounds => numerics.findPreimages(fn, target, bounds, { separation })
+        .some(p => Math.hypot(p.x - found.x, p.y - found.y) >= separation));
+      return ambiguous ? { ...result, converged: false, ambiguous: true } : result;
+    },
+
+    // LU factorization with partial pivoting of a square matrix (array of rows), for reuse
+    // across several right-hand sides with luSolve. Throws on singular matrices.
+    luDecompose: (matrix) => {
+      const n = matrix.length;
+      const lu = matrix.map(row => Float64Array.from(row));
+      const pivots = Array.from({ length: n }, (_, i) => i);
+
+      for (let k = 0; k < n; k++) {
+        let pivot = k;
+        for (let i = k + 1; i < n; i++) {
+          if (Math.abs(lu[i][k]) > Math.abs(lu[pivot][k])) pivot = i;
+        }
+        if (Math.abs(lu[pivot][k]) < mathConstants.EPSILON) {
+          throw new Error('numerics.luDecompose: matrix is singular');
+        }
+        [lu[k], lu[pivot]] = [lu[pivot], lu[k]];
+        [pivots[k], pivots[pivot]] = [pivots[pivot], pivots[k]];
+
+        for (let i = k + 1; i < n; i++) {
+          const factor = lu[i][k] /= lu[k][k];
+          for (let j = k + 1; j < n; j++) {
+            lu[i][j] -= factor * lu[k][j];
+          }
+        }
+      }
+      return { lu, pivots };
+    },
+
+    // Solve A x = b from the factorization of A
+    luSolve: ({ lu, pivots }, rhs) => {
+      const n = lu.length;
+      const x = Float64Array.from(pivots, index => rhs[index]);
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) x[i] -= lu[i][j] * x[j];
+      }
+      for (let i = n - 1; i >= 0; i--) {
+        for (let j = i + 1; j < n; j++) x[i] -= lu[i][j] * x[j];
+        x[i] /= lu[i][i];
+      }
+      return x;
+    }
+  };
+
   // ==========================
   // SECTION 3: Domain Framework
   // ==========================
@@ -138,8 +344,47 @@ export const createDeformationModule = () => {
       this.center = config.center || { x: 0, y: 0 };
       this.radius = config.radius || 100;
       this.amplitude = config.amplitude || 0;
-      this.blendMode = config.blendMode || 'smooth';
       this.options = config.options || {};
+      // Falloff curve name and its parameters (e.g. { innerRadius } for 'plateau')
+      this.blendMode = config.blendMode ?? this.options.blendMode ?? 'smooth';
+      this.falloff = config.falloff ?? this.options.falloff ?? null;
+      // Layering order for the 'priority' composition mode; higher is on top
+      this.priority = config.priority ?? this.options.priority ?? 0;
+
+      if (typeof blendingFunctions[this.blendMode] !== 'function') {
+        throw new Error(`Domain: "${this.blendMode}" is not a registered blend mode`);
+      }
+    }
+
+    // Type-specific properties that are persisted alongside the common ones
+    static serializableFields = [];
+
+    // Plain-data description of the domain, suitable for JSON and for DomainFactory.create
+    serialize() {
+      const options = JSON.parse(JSON.stringify(this.options));
+      options.blendMode = this.blendMode;
+      if (this.falloff) {
+        options.falloff = JSON.parse(JSON.stringify(this.falloff));
+      } else {
+        delete options.falloff;
+      }
+      if (this.priority !== 0) {
+        options.priority = this.priority;
+      } else {
+        delete options.priority;
+      }
+
+      const data = {
+        type: this.type,
+        center: { x: this.center.x, y: this.center.y },
+        radius: this.radius,
+        amplitude: this.amplitude,
+        options
+      };
+      for (const field of this.constructor.serializableFields) {
+        data[field] = this[field];
+      }
+      return data;
     }
 
     weightAt(point) {
@@ -147,30 +392,35 @@ export const createDeformationModule = () => {
         point.x - this.center.x,
         point.y - this.center.y
       );
-      return blendingFunctions[this.blendMode](distance, this.radius);
+      return blendingFunctions[this.blendMode](distance, this.radius, this.falloff || {});
+    }
+
+    // Axis-aligned box outside which weightAt is zero, so the domain cannot move points there.
+    // Every falloff, built-in or registered, vanishes past the radius; subclasses with a wider reach override this.
+    getBounds() {
+      return {
+        minX: this.center.x - this.radius,
+        minY: this.center.y - this.radius,
+        maxX: this.center.x + this.radius,
+        maxY: this.center.y + this.radius
+      };
     }
 
     transform(point, direction = 1) {
       return { ...point };
     }
 
+    // Whether transform can fold the plane, so that a point has several preimages in the bounds
+    mayFold() {
+      return false;
+    }
+
     inverse(transformedPoint) {
       return this._iterativeInverse(transformedPoint);
     }
 
-    _iterativeInverse(target, tolerance = 0.1, maxIterations = 50) {
-      let guess = { ...target };
-      for (let i = 0; i < maxIterations; i++) {
-        const forward = this.transform(guess);
-        const dx = target.x - forward.x;
-        const dy = target.y - forward.y;
-        
-        if (Math.hypot(dx, dy) < tolerance) break;
-        
-        guess.x += dx * 0.5;
-        guess.y += dy * 0.5;
-      }
-      return guess;
+    _iterativeInverse(target, tolerance = 1e-3, maxIterations = 50) {
+      return numerics.newtonInverse(p => this.transform(p, 1), target, { tolerance, maxIterations });
     }
 
     curvatureFactor(point) {
@@ -229,11 +479,41 @@ export const createDeformationModule = () => {
   }
 
   class NoiseDomain extends Domain {
-    constructor(config) {
-      super('noise', config);
-      this.scale = config.scale || 0.1;
-      this.octaves = config.octaves || 3;
-      this.persistence = config.persistence || 0.5;
+    constructor(type = 'noise', config = {}) {
+      super(type, config);
+      this.scale = config.scale ?? this.options.scale ?? 0.1;
+      this.octaves = config.octaves ?? this.options.octaves ?? 3;
+      this.persistence = config.persistence ?? this.options.persistence ?? 0.5;
+      // Shift of the sampled noise field, in noise units; animating it scrolls the noise
+      this.offsetX = config.offsetX ?? this.options.offsetX ?? 0;
+      this.offsetY = config.offsetY ?? this.options.offsetY ?? 0;
+      // Seeded so a saved domain reproduces the same noise field when reloaded
+      this.seed = config.seed ?? this.options.seed ?? Math.floor(Math.random() * 2 ** 32);
+    }
+
+    static serializableFields = ['scale', 'octaves', 'persistence', 'seed', 'offsetX', 'offsetY'];
+
+    // Changing the seed rebuilds the permutation table
+    get seed() {
+      return this.#seed;
+    }
+
+    set seed(value) {
+      this.#seed = value;
+      this.#permutation = NoiseDomain.#createPermutation(value);
+    }
+
+    // Mulberry32 PRNG driving the permutation table
+    static #createPermutation(seed) {
+      let a = seed >>> 0;
+      const random = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+      return Array.from({length: 512}, () => Math.floor(random() * 256));
     }
 
     #noise(x, y) {
@@ -265,10 +545,12 @@ export const createDeformationModule = () => {
       const A = p[X] + Y;
       const B = p[X+1] + Y;
     
-      return this.#lerp(
-        v,
-        this.#lerp(u, this.#grad(p[A], xf, yf), this.#lerp(u, this.#grad(p[B], xf - 1, yf)))
-      );
+      // Gradients at the four cell corners, blended along x and then y
+      const g00 = this.#grad(p[A], xf, yf);
+      const g10 = this.#grad(p[B], xf - 1, yf);
+      const g01 = this.#grad(p[A + 1], xf, yf - 1);
+      const g11 = this.#grad(p[B + 1], xf - 1, yf - 1);
+      return this.#lerp(this.#lerp(g00, g10, u), this.#lerp(g01, g11, u), v);
     }
     
 
@@ -280,12 +562,13 @@ export const createDeformationModule = () => {
       const v = h < 4 ? y : h === 12 || h === 14 ? x : 0;
       return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
     }
-    #permutation = Array.from({length: 512}, () => Math.floor(Math.random() * 256));
+    #permutation;
+    #seed;
 
     transform(point) {
       const noiseVal = this.#noise(
-        (point.x - this.center.x) * this.scale,
-        (point.y - this.center.y) * this.scale
+        (point.x - this.center.x) * this.scale + this.offsetX,
+        (point.y - this.center.y) * this.scale + this.offsetY
       ) * this.amplitude;
       
       return {
@@ -296,13 +579,15 @@ export const createDeformationModule = () => {
   }
 
   class HarmonicDomain extends Domain {
-    constructor(config) {
-      super('harmonic', config);
-      this.freqX = config.freqX || 3;
-      this.freqY = config.freqY || 2;
-      this.phase = config.phase || 0;
+    constructor(type = 'harmonic', config = {}) {
+      super(type, config);
+      this.freqX = config.freqX ?? this.options.freqX ?? 3;
+      this.freqY = config.freqY ?? this.options.freqY ?? 2;
+      this.phase = config.phase ?? this.options.phase ?? 0;
     }
 
+    static serializableFields = ['freqX', 'freqY', 'phase'];
+
     transform(point) {
       const dx = point.x - this.center.x;
       const dy = point.y - this.center.y;
@@ -314,11 +599,13 @@ export const createDeformationModule = () => {
   }
 
   class GaussianCurvatureDomain extends Domain {
-    constructor(config) {
-      super('gaussian-curvature', config);
-      this.spread = config.spread || 4;
+    constructor(type = 'gaussian-curvature', config = {}) {
+      super(type, config);
+      this.spread = config.spread ?? this.options.spread ?? 4;
     }
 
+    static serializableFields = ['spread'];
+
     transform(point) {
       const u = (point.x - this.center.x) / this.radius;
       const v = (point.y - this.center.y) / this.radius;
@@ -345,8 +632,1034 @@ export const createDeformationModule = () => {
     }
   }
 
+  // Local warps that move points along circles or rays about the center. They are the identity
+  // from the radius outwards, and direction = -1 applies the exact inverse.
+  class RadialWarpDomain extends Domain {
+    constructor(type, config = {}, defaultStrength = 0) {
+      super(type, config);
+      this.strength = config.strength ?? this.options.strength ?? defaultStrength;
+    }
+
+    static serializableFields = ['strength'];
+
+    // Maps polar coordinates (distance, angle) inside the radius; subclasses implement this
+    mapPolar(distance, angle, direction) {
+      return { distance, angle };
+    }
+
+    transform(point, direction = 1) {
+      const dx = point.x - this.center.x;
+      const dy = point.y - this.center.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance >= this.radius || distance < mathConstants.EPSILON) {
+        return { ...point };
+      }
+
+      const mapped = this.mapPolar(distance, Math.atan2(dy, dx), direction);
+      return {
+        x: this.center.x + mapped.distance * Math.cos(mapped.angle),
+        y: this.center.y + mapped.distance * Math.sin(mapped.angle)
+      };
+    }
+
+    inverse(transformedPoint) {
+      return this.transform(transformedPoint, -1);
+    }
+  }
+
+  // Twist / swirl: rotation by strength (radians at the center) times the domain's falloff.
+  // Distances are kept, so the inverse rotates back by the same angle.
+  class TwistDomain extends RadialWarpDomain {
+    constructor(type = 'twist', config = {}) {
+      super(type, config, Math.PI / 2);
+    }
+
+    mapPolar(distance, angle, direction) {
+      const twist = this.strength * blendingFunctions[this.blendMode](distance, this.radius, this.falloff || {});
+      return { distance, angle: angle + direction * twist };
+    }
+  }
+
+  // Bulge / pinch: distance scaled by a power, r' = R * (r / R)^k with k = 2^-strength.
+  // Positive strength pushes points outwards (bulge); a 'pinch' domain uses the opposite sign.
+  class BulgeDomain extends RadialWarpDomain {
+    constructor(type = 'bulge', config = {}) {
+      super(type, config, 0.5);
+    }
+
+    get exponent() {
+      return 2 ** (this.type === 'pinch' ? this.strength : -this.strength);
+    }
+
+    mapPolar(distance, angle, direction) {
+      const power = direction === 1 ? this.exponent : 1 / this.exponent;
+      return { distance: this.radius * (distance / this.radius) ** power, angle };
+    }
+  }
+
+  // Lens: magnifies the center by 1 + strength and compresses towards the rim,
+  // r' = m r / (1 + (m - 1) r / R), which is monotonic for m > 0 and inverted in closed form
+  class LensDomain extends RadialWarpDomain {
+    constructor(type = 'lens', config = {}) {
+      super(type, config, 1);
+      if (!(this.strength > -1)) {
+        throw new Error('LensDomain: strength must be greater than -1');
+      }
+    }
+
+    mapPolar(distance, angle, direction) {
+      const magnification = 1 + this.strength;
+      const t = distance / this.radius;
+      const mapped = direction === 1
+        ? magnification * distance / (1 + (magnification - 1) * t)
+        : distance / (magnification - (magnification - 1) * t);
+      return { distance: mapped, angle };
+    }
+  }
+
+  // Basis functions for free-form deformation lattices: count weights for a parameter t in [0, 1]
+  const latticeBases = {
+    // Bezier: Bernstein polynomials of degree count - 1
+    bernstein: (count, t) => {
+      const degree = count - 1;
+      let binomial = 1;
+      return Array.from({ length: count }, (_, i) => {
+        if (i > 0) binomial = binomial * (degree - i + 1) / i;
+        return binomial * t ** i * (1 - t) ** (degree - i);
+      });
+    },
+    // Clamped uniform B-spline of degree min(3, count - 1) (Cox-de Boor recursion)
+    bspline: (count, t) => {
+      const degree = Math.min(3, count - 1);
+      const knots = Array.from(
+        { length: count + degree + 1 },
+        (_, i) => Math.min(1, Math.max(0, (i - degree) / (count - degree)))
+      );
+      // The closed end of the last span belongs to the last control point
+      const span = t >= 1 ? count - 1 : knots.findIndex((knot, i) => knot <= t && t < knots[i + 1]);
+
+      let basis = knots.slice(0, -1).map((_, i) => (i === span ? 1 : 0));
+      for (let d = 1; d <= degree; d++) {
+        basis = basis.slice(0, -1).map((_, i) => {
+          const left = knots[i + d] - knots[i];
+          const right = knots[i + d + 1] - knots[i + 1];
+          return (left > 0 ? (t - knots[i]) / left * basis[i] : 0) +
+            (right > 0 ? (knots[i + d + 1] - t) / right * basis[i + 1] : 0);
+        });
+      }
+      return basis;
+    }
+  };
+
+  // Free-form deformation: a columns x rows control lattice spread evenly over the domain's
+  // bounding square (center ± radius). Control points store their displacement from the rest
+  // position, so the lattice follows the domain when it moves or resizes. Points inside the
+  // square move by the basis-weighted displacements, faded by the shared falloff towards the
+  // square's edge (see weightAt).
+  class FFDDomain extends Domain {
+    constructor(type = 'ffd', config = {}) {
+      super(type, config);
+      this.columns = config.columns ?? this.options.columns ?? 4;
+      this.rows = config.rows ?? this.options.rows ?? 4;
+      this.basis = config.basis ?? this.options.basis ?? 'bernstein';
+
+      if (![this.columns, this.rows].every(count => Number.isInteger(count) && count >= 2)) {
+        throw new Error('FFDDomain: columns and rows must be integers of at least 2');
+      }
+      if (!latticeBases[this.basis]) {
+        throw new Error(`FFDDomain: unknown basis "${this.basis}"`);
+      }
+
+      // A saved lattice of another size does not fit; start flat
+      const displacements = config.displacements ?? this.options.displacements;
+      this.displacements = displacements?.length === this.columns * this.rows
+        ? displacements.map(({ x, y }) => ({ x, y }))
+        : Array.from({ length: this.columns * this.rows }, () => ({ x: 0, y: 0 }));
+    }
+
+    static serializableFields = ['columns', 'rows', 'basis', 'displacements'];
+
+    serialize() {
+      const data = super.serialize();
+      data.displacements = this.displacements.map(({ x, y }) => ({ x, y }));
+      return data;
+    }
+
+    #index(column, row) {
+      if (!Number.isInteger(column) || !Number.isInteger(row) ||
+          column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+        throw new Error(`FFDDomain: control point (${column}, ${row}) is outside the ${this.columns}x${this.rows} lattice`);
+      }
+      return row * this.columns + column;
+    }
+
+    // Undeformed position of a control point
+    #restPosition(column, row) {
+      return {
+        x: this.center.x - this.radius + (2 * this.radius * column) / (this.columns - 1),
+        y: this.center.y - this.radius + (2 * this.radius * row) / (this.rows - 1)
+      };
+    }
+
+    getControlPoint(column, row) {
+      const rest = this.#restPosition(column, row);
+      const displacement = this.displacements[this.#index(column, row)];
+      return { x: rest.x + displacement.x, y: rest.y + displacement.y };
+    }
+
+    // Move a control point to a world position
+    setControlPoint(column, row, point) {
+      if (!Number.isFinite(point?.x) || !Number.isFinite(point?.y)) {
+        throw new Error('FFDDomain: control points need finite x and y');
+      }
+      const rest = this.#restPosition(column, row);
+      this.displacements[this.#index(column, row)] = { x: point.x - rest.x, y: point.y - rest.y };
+    }
+
+    // Put every control point back at its rest position
+    resetControlPoints() {
+      this.displacements = this.displacements.map(() => ({ x: 0, y: 0 }));
+    }
+
+    // Control point positions, one array per lattice row
+    getControlLattice() {
+      return Array.from({ length: this.rows }, (_, row) =>
+        Array.from({ length: this.columns }, (_, column) => this.getControlPoint(column, row))
+      );
+    }
+
+    // The shared falloff over the box distance max(|dx|, |dy|), so the weight reaches zero at
+    // the edge of the lattice square instead of stepping there
+    weightAt(point) {
+      const distance = Math.max(Math.abs(point.x - this.center.x), Math.abs(point.y - this.center.y));
+      return blendingFunctions[this.blendMode](distance, this.radius, this.falloff || {});
+    }
+
+    transform(point) {
+      const u = (point.x - this.center.x + this.radius) / (2 * this.radius);
+      const v = (point.y - this.center.y + this.radius) / (2 * this.radius);
+      if (u < 0 || u > 1 || v < 0 || v > 1) {
+        return { ...point };
+      }
+
+      const weightsU = latticeBases[this.basis](this.columns, u);
+      const weightsV = latticeBases[this.basis](this.rows, v);
+      let x = point.x;
+      let y = point.y;
+      for (let row = 0; row < this.rows; row++) {
+        for (let column = 0; column < this.columns; column++) {
+          const weight = weightsU[column] * weightsV[row];
+          if (weight !== 0) {
+            const displacement = this.displacements[row * this.columns + column];
+            x += weight * displacement.x;
+            y += weight * displacement.y;
+          }
+        }
+      }
+      return { x, y };
+    }
+  }
+
+  // Radial basis kernels for point-pair warps; r is a distance in units of the domain radius,
+  // scale the kernel width in the same units
+  const rbfKernels = {
+    'thin-plate': (r) => (r > 0 ? r * r * Math.log(r) : 0),
+    gaussian: (r, scale) => Math.exp(-((r / scale) ** 2)),
+    multiquadric: (r, scale) => Math.sqrt(r * r + scale * scale)
+  };
+  // Regularization retried when coincident nodes make the unregularized system singular
+  const RBF_MIN_REGULARIZATION = 1e-6;
+
+  // Point-pair warp: moves each source point onto its target with a radial basis function
+  // interpolant plus an affine term. Fixed anchor points on the rim keep the warp close to the
+  // identity at the radius, and the shared falloff takes it the rest of the way, so sources reach
+  // their targets exactly only where the weight is 1 (e.g. inside a plateau falloff). The system is
+  // factorized once per source layout, so moving targets only costs a back-substitution.
+  // The inverse starts from the interpolant of the swapped pairs, which is only approximate
+  // with regularization, and refines it with Newton iterations on the forward warp.
+  // Edit pairs through addPair/setPair/removePair (or replace the array) so the cache notices.
+  class RBFDomain extends Domain {
+    constructor(type = 'rbf', config = {}) {
+      super(type, config);
+      this.kernel = config.kernel ?? this.options.kernel ?? 'thin-plate';
+      // Kernel width for gaussian and multiquadric kernels, in world units; null means half the radius
+      this.kernelScale = config.kernelScale ?? this.options.kernelScale ?? null;
+      // Added to the kernel diagonal; trades exact interpolation for stability
+      this.regularization = config.regularization ?? this.options.regularization ?? 0.001;
+      // Fixed points spread over the rim
+      this.anchors = config.anchors ?? this.options.anchors ?? 16;
+      this.pairs = (config.pairs ?? this.options.pairs ?? []).map(RBFDomain.#copyPair);
+
+      if (!rbfKernels[this.kernel]) {
+        throw new Error(`RBFDomain: unknown kernel "${this.kernel}"`);
+      }
+      if (!Number.isInteger(this.anchors) || this.anchors < 3) {
+        throw new Error('RBFDomain: anchors must be an integer of at least 3');
+      }
+    }
+
+    static serializableFields = ['kernel', 'kernelScale', 'regularization', 'anchors', 'pairs'];
+
+    // Cached solutions by direction: { inputs, nodes, values, matrixInputs, factorization, weights }
+    #solutions = { forward: null, inverse: null };
+    // Bumped by every pair edit
+    #pairsRevision = 0;
+
+    static #copyPair({ source, target }) {
+      if (![source?.x, source?.y, target?.x, target?.y].every(Number.isFinite)) {
+        throw new Error('RBFDomain: point pairs need finite source and target points');
+      }
+      return { source: { x: source.x, y: source.y }, target: { x: target.x, y: target.y } };
+    }
+
+    serialize() {
+      const data = super.serialize();
+      data.pairs = this.pairs.map(RBFDomain.#copyPair);
+      return data;
+    }
+
+    getPairs() {
+      return this.pairs.map(RBFDomain.#copyPair);
+    }
+
+    // Append a pair and return its index
+    addPair(source, target) {
+      this.pairs.push(RBFDomain.#copyPair({ source, target }));
+      this.#pairsRevision++;
+      return this.pairs.length - 1;
+    }
+
+    // Replace the source and/or target of a pair
+    setPair(index, { source, target }) {
+      const pair = this.#pairAt(index);
+      this.pairs[index] = RBFDomain.#copyPair({ source: source ?? pair.source, target: target ?? pair.target });
+      this.#pairsRevision++;
+    }
+
+    removePair(index) {
+      this.#pairAt(index);
+      this.pairs.splice(index, 1);
+      this.#pairsRevision++;
+    }
+
+    #pairAt(index) {
+      const pair = this.pairs[index];
+      if (!Number.isInteger(index) || !pair) {
+        throw new Error(`RBFDomain: no point pair at index ${index}`);
+      }
+      return pair;
+    }
+
+    // Local coordinates: relative to the center, in units of the radius
+    #local(point) {
+      return { x: (point.x - this.center.x) / this.radius, y: (point.y - this.center.y) / this.radius };
+    }
+
+    #kernelAt(r) {
+      const scale = (this.kernelScale ?? this.radius / 2) / this.radius;
+      return rbfKernels[this.kernel](r, scale);
+    }
+
+    // Everything a solution depends on; compared field by field on every transform
+    #captureInputs() {
+      return {
+        pairs: this.pairs,
+        pairsRevision: this.#pairsRevision,
+        centerX: this.center.x,
+        centerY: this.center.y,
+        radius: this.radius,
+        kernel: this.kernel,
+        kernelScale: this.kernelScale,
+        regularization: this.regularization,
+        anchors: this.anchors
+      };
+    }
+
+    #inputsChanged(inputs) {
+      return inputs.pairs !== this.pairs ||
+        inputs.pairsRevision !== this.#pairsRevision ||
+        inputs.centerX !== this.center.x ||
+        inputs.centerY !== this.center.y ||
+        inputs.radius !== this.radius ||
+        inputs.kernel !== this.kernel ||
+        inputs.kernelScale !== this.kernelScale ||
+        inputs.regularization !== this.regularization ||
+        inputs.anchors !== this.anchors;
+    }
+
+    // LU factorization of the interpolation system for the given nodes:
+    // [K + λI  P] [w]   [d]
+    // [P^T     0] [a] = [0]   with P = [1 x y]
+    // Coincident nodes make it singular without regularization, so a minimal λ is retried
+    // before giving up (null), which leaves the domain at the identity.
+    #factorize(nodes) {
+      const attempts = [...new Set([this.regularization, Math.max(this.regularization, RBF_MIN_REGULARIZATION)])];
+      for (const regularization of attempts) {
+        const n = nodes.length;
+        const matrix = Array.from({ length: n + 3 }, () => new Array(n + 3).fill(0));
+        nodes.forEach((a, i) => {
+          nodes.forEach((b, j) => {
+            matrix[i][j] = this.#kernelAt(Math.hypot(a.x - b.x, a.y - b.y)) + (i === j ? regularization : 0);
+          });
+          [1, a.x, a.y].forEach((term, k) => {
+            matrix[i][n + k] = term;
+            matrix[n + k][i] = term;
+          });
+        });
+        try {
+          return numerics.luDecompose(matrix);
+        } catch (error) {
+          // Singular; retry with more regularization
+        }
+      }
+      return null;
+    }
+
+    // Coefficients mapping the given nodes (sources, or targets for the inverse) to their partners
+    #solve(direction) {
+      const key = direction === 1 ? 'forward' : 'inverse';
+      const previous = this.#solutions[key];
+      if (!previous || this.#inputsChanged(previous.inputs)) {
+        this.#solutions[key] = this.#rebuild(previous, direction);
+      }
+      return this.#solutions[key];
+    }
+
+    // Solution for the current inputs, reusing the previous factorization while the nodes and
+    // kernel settings are unchanged, and its weights while the values are too
+    #rebuild(previous, direction) {
+      const anchors = Array.from({ length: this.anchors }, (_, i) => {
+        const angle = (2 * Math.PI * i) / this.anchors;
+        return { x: Math.cos(angle), y: Math.sin(angle) };
+      });
+      const nodes = [
+        ...this.pairs.map(pair => this.#local(direction === 1 ? pair.source : pair.target)),
+        ...anchors
+      ];
+      const values = [
+        ...this.pairs.map(pair => (direction === 1
+          ? { x: pair.target.x - pair.source.x, y: pair.target.y - pair.source.y }
+          : { x: pair.source.x - pair.target.x, y: pair.source.y - pair.target.y })),
+        ...anchors.map(() => ({ x: 0, y: 0 }))
+      ];
+      const matrixInputs = [this.kernel, this.kernelScale, this.radius, this.regularization];
+
+      const samePoints = (a, b) => a.length === b.length && a.every((point, i) => point.x === b[i].x && point.y === b[i].y);
+      const sameMatrix = previous !== null &&
+        previous.matrixInputs.every((input, i) => input === matrixInputs[i]) &&
+        samePoints(previous.nodes, nodes);
+      const factorization = sameMatrix ? previous.factorization : this.#factorize(nodes);
+
+      let weights = null;
+      if (factorization) {
+        const padding = [0, 0, 0];
+        weights = sameMatrix && samePoints(previous.values, values)
+          ? previous.weights
+          : {
+            x: numerics.luSolve(factorization, [...values.map(value => value.x), ...padding]),
+            y: numerics.luSolve(factorization, [...values.map(value => value.y), ...padding])
+          };
+      }
+      return { inputs: this.#captureInputs(), nodes, values, matrixInputs, factorization, weights };
+    }
+
+    transform(point, direction = 1) {
+      const local = this.#local(point);
+      if (this.pairs.length === 0 || Math.hypot(local.x, local.y) >= 1) {
+        return { ...point };
+      }
+
+      const { nodes, weights } = this.#solve(direction);
+      if (!weights) {
+        return { ...point };
+      }
+      const n = nodes.length;
+      let dx = weights.x[n] + weights.x[n + 1] * local.x + weights.x[n + 2] * local.y;
+      let dy = weights.y[n] + weights.y[n + 1] * local.x + weights.y[n + 2] * local.y;
+      nodes.forEach((node, i) => {
+        const phi = this.#kernelAt(Math.hypot(local.x - node.x, local.y - node.y));
+        dx += weights.x[i] * phi;
+        dy += weights.y[i] * phi;
+      });
+      return { x: point.x + dx, y: point.y + dy };
+    }
+
+    // Newton iterations on the forward warp, started from the swapped-pair interpolant
+    inverse(transformedPoint) {
+      return numerics.newtonInverse(p => this.transform(p), transformedPoint, {
+        initialGuess: this.transform(transformedPoint, -1)
+      });
+    }
+  }
+
+  // Named conformal maps in domain-local coordinates (center at 0, radius 1). Each has a forward
+  // map, its analytic inverse, and the fixed points and poles (or log singularities) as complex numbers.
+  const ONE = { re: 1, im: 0 };
+  const ZERO = { re: 0, im: 0 };
+  const conformalMaps = {
+    // (a z + b) / (c z + d)
+    mobius: {
+      forward: (z, { coefficients: { a, b, c, d } }) => complex.divide(
+        complex.add(complex.multiply(a, z), b),
+        complex.add(complex.multiply(c, z), d)
+      ),
+      inverse: (w, { coefficients: { a, b, c, d } }) => complex.divide(
+        complex.subtract(complex.multiply(d, w), b),
+        complex.subtract(a, complex.multiply(c, w))
+      ),
+      poles: ({ coefficients: { c, d } }) => (complex.abs(c) > mathConstants.EPSILON
+        ? [complex.divide(complex.subtract(ZERO, d), c)]
+        : []),
+      // Roots of c z^2 + (d - a) z - b = 0
+      fixedPoints: ({ coefficients: { a, b, c, d } }) => {
+        const linear = complex.subtract(d, a);
+        if (complex.abs(c) <= mathConstants.EPSILON) {
+          return complex.abs(linear) > mathConstants.EPSILON ? [complex.divide(b, linear)] : [];
+        }
+        const root = complex.sqrt(complex.add(
+          complex.multiply(linear, linear),
+          complex.multiply({ re: 4, im: 0 }, complex.multiply(b, c))
+        ));
+        const twoC = complex.multiply({ re: 2, im: 0 }, c);
+        const first = complex.divide(complex.add(complex.subtract(ZERO, linear), root), twoC);
+        const second = complex.divide(complex.subtract(complex.subtract(ZERO, linear), root), twoC);
+        return complex.abs(root) > mathConstants.EPSILON ? [first, second] : [first];
+      }
+    },
+    exp: {
+      forward: (z) => complex.exp(z),
+      inverse: (w) => complex.log(w),
+      poles: () => [],
+      fixedPoints: () => []
+    },
+    log: {
+      forward: (z) => complex.log(z),
+      inverse: (w) => complex.exp(w),
+      poles: () => [ZERO],
+      fixedPoints: () => []
+    },
+    // z^n; integer exponents n != 1 fix 0 (for n > 0) and the (n - 1)-th roots of unity
+    power: {
+      forward: (z, { exponent }) => complex.pow(z, exponent),
+      inverse: (w, { exponent }) => complex.pow(w, 1 / exponent),
+      poles: ({ exponent }) => (exponent < 0 ? [ZERO] : []),
+      fixedPoints: ({ exponent }) => {
+        const roots = Number.isInteger(exponent) && exponent !== 1
+          ? Array.from({ length: Math.abs(exponent - 1) }, (_, k) => {
+            const angle = (2 * Math.PI * k) / Math.abs(exponent - 1);
+            return { re: Math.cos(angle), im: Math.sin(angle) };
+          })
+          : [ONE];
+        return exponent > 0 ? [ZERO, ...roots] : roots;
+      }
+    },
+    sqrt: {
+      forward: (z) => complex.sqrt(z),
+      inverse: (w) => complex.multiply(w, w),
+      poles: () => [],
+      fixedPoints: () => [ZERO, ONE]
+    },
+    // z + 1/z; the inverse picks the preimage inside the unit circle, where the domain acts
+    joukowski: {
+      forward: (z) => complex.add(z, complex.divide(ONE, z)),
+      inverse: (w) => {
+        const root = complex.sqrt(complex.subtract(complex.multiply(w, w), { re: 4, im: 0 }));
+        const candidates = [complex.add(w, root), complex.subtract(w, root)]
+          .map(z => ({ re: z.re / 2, im: z.im / 2 }));
+        return complex.abs(candidates[0]) <= complex.abs(candidates[1]) ? candidates[0] : candidates[1];
+      },
+      poles: () => [ZERO],
+      fixedPoints: () => []
+    }
+  };
+
+  // Conformal map domain: a Möbius transform with editable coefficients a, b, c, d, or a named
+  // complex function (exp, log, power, sqrt, joukowski), applied in local coordinates where the
+  // center is 0 and the radius is 1. The displacement f(z) - z is saturated smoothly at
+  // `saturation` radii, so points near poles stay bounded while blending with the falloff
+  // instead of jumping far away; small displacements keep the exact map. inverse() inverts the
+  // saturated map and refuses points that the fold gives several preimages.
+  class ConformalDomain extends Domain {
+    constructor(type = 'conformal', config = {}) {
+      super(type, config);
+      this.mapping = config.mapping ?? this.options.mapping ?? 'mobius';
+      const { a = ONE, b = ZERO, c = ZERO, d = ONE } = config.coefficients ?? this.options.coefficients ?? {};
+      this.coefficients = JSON.parse(JSON.stringify({ a, b, c, d }));
+      this.exponent = config.exponent ?? this.options.exponent ?? 2;
+      this.saturation = config.saturation ?? this.options.saturation ?? 1;
+
+      if (!conformalMaps[this.mapping]) {
+        throw new Error(`ConformalDomain: unknown mapping "${this.mapping}"`);
+      }
+      const values = Object.values(this.coefficients).flatMap(z => [z.re, z.im]);
+      if (!values.every(Number.isFinite)) {
+        throw new Error('ConformalDomain: coefficients need finite re and im parts');
+      }
+      // ad - bc = 0 collapses the plane onto a point
+      const { a: ca, b: cb, c: cc, d: cd } = this.coefficients;
+      if (this.mapping === 'mobius' &&
+          complex.abs(complex.subtract(complex.multiply(ca, cd), complex.multiply(cb, cc))) < mathConstants.EPSILON) {
+        throw new Error('ConformalDomain: Möbius coefficients need ad - bc != 0');
+      }
+      if (!Number.isFinite(this.exponent) || this.exponent === 0) {
+        throw new Error('ConformalDomain: exponent must be a finite non-zero number');
+      }
+      if (!(this.saturation > 0)) {
+        throw new Error('ConformalDomain: saturation must be positive');
+      }
+    }
+
+    static serializableFields = ['mapping', 'coefficients', 'exponent', 'saturation'];
+
+    serialize() {
+      const data = super.serialize();
+      data.coefficients = JSON.parse(JSON.stringify(this.coefficients));
+      return data;
+    }
+
+    #toLocal(point) {
+      return { re: (point.x - this.center.x) / this.radius, im: (point.y - this.center.y) / this.radius };
+    }
+
+    #toWorld(z) {
+      return { x: this.center.x + z.re * this.radius, y: this.center.y + z.im * this.radius };
+    }
+
+    // The complex map itself, in local coordinates
+    mapComplex(z) {
+      return conformalMaps[this.mapping].forward(z, this);
+    }
+
+    inverseMapComplex(w) {
+      return conformalMaps[this.mapping].inverse(w, this);
+    }
+
+    // Fixed points and poles (log singularities included) in world coordinates
+    getFixedPoints() {
+      return conformalMaps[this.mapping].fixedPoints(this).map(z => this.#toWorld(z));
+    }
+
+    getPoles() {
+      return conformalMaps[this.mapping].poles(this).map(z => this.#toWorld(z));
+    }
+
+    transform(point) {
+      const z = this.#toLocal(point);
+      const w = this.mapComplex(z);
+      const dx = w.re - z.re;
+      const dy = w.im - z.im;
+      const length = Math.hypot(dx, dy);
+      // Exactly on a pole the map has no direction to saturate towards
+      if (!Number.isFinite(length)) {
+        return { ...point };
+      }
+      const scale = length > mathConstants.EPSILON
+        ? this.saturation * Math.tanh(length / this.saturation) / length
+        : 1;
+      return {
+        x: point.x + dx * scale * this.radius,
+        y: point.y + dy * scale * this.radius
+      };
+    }
+
+    // Saturation folds the plane around poles and steep regions
+    mayFold() {
+      return true;
+    }
+
+    // Newton iterations on the saturated map, started from the analytic inverse. Where the fold
+    // gives the point several preimages in the domain there is no telling which one was meant,
+    // so the result comes back with converged: false and ambiguous: true.
+    inverse(transformedPoint) {
+      const fn = p => this.transform(p);
+      const guess = this.#toWorld(this.inverseMapComplex(this.#toLocal(transformedPoint)));
+      const result = numerics.newtonInverse(fn, transformedPoint, {
+        initialGuess: Number.isFinite(guess.x) && Number.isFinite(guess.y) ? guess : transformedPoint
+      });
+      return numerics.rejectAmbiguousInverse(result, fn, transformedPoint, [this.getBounds()]);
+    }
+  }
+
+  // Regular {p, q} tilings of the Poincaré disk (p-gons, q around each vertex), built by
+  // reflecting a central polygon across its edges. Returns polygons as arrays of complex vertices.
+  const hyperbolicTiling = (p, q, depth) => {
+    // Vertex radius of the central polygon
+    const vertexRadius = Math.sqrt(Math.cos(Math.PI / p + Math.PI / q) / Math.cos(Math.PI / p - Math.PI / q));
+    const central = Array.from({ length: p }, (_, k) => {
+      const angle = (2 * Math.PI * k) / p;
+      return { re: vertexRadius * Math.cos(angle), im: vertexRadius * Math.sin(angle) };
+    });
+
+    const key = (polygon) => {
+      const sum = polygon.reduce((total, z) => complex.add(total, z), ZERO);
+      return tilingPointKey({ re: sum.re / polygon.length, im: sum.im / polygon.length });
+    };
+
+    const polygons = [central];
+    const seen = new Set([key(central)]);
+    let frontier = [central];
+    for (let level = 0; level < depth && polygons.length < MAX_TILING_POLYGONS; level++) {
+      const next = [];
+      frontier.forEach(polygon => polygon.forEach((u, i) => {
+        const reflect = hyperbolicGeodesic(u, polygon[(i + 1) % polygon.length]).reflect;
+        const neighbour = polygon.map(reflect);
+        const neighbourKey = key(neighbour);
+        // Tiles squeezed against the rim are too small to see
+        if (!seen.has(neighbourKey) && neighbour.every(z => complex.abs(z) < 0.995)) {
+          seen.add(neighbourKey);
+          next.push(neighbour);
+          polygons.push(neighbour);
+        }
+      }));
+      frontier = next;
+    }
+    return polygons;
+  };
+  const MAX_TILING_POLYGONS = 4000;
+
+  // Rounded key for matching points produced by different reflections (+ 0 folds -0 into 0)
+  const tilingPointKey = (z) => `${Math.round(z.re * 1e6) + 0},${Math.round(z.im * 1e6) + 0}`;
+
+  // Geodesic of the Poincaré disk through u and v: a diameter or a circle orthogonal to the
+  // unit circle. Provides the reflection across it and points sampled from u to v.
+  const hyperbolicGeodesic = (u, v) => {
+    const cross = u.re * v.im - u.im * v.re;
+    if (Math.abs(cross) < mathConstants.EPSILON) {
+      const through = complex.abs(u) > complex.abs(v) ? u : v;
+      const direction = complex.divide(through, { re: complex.abs(through), im: 0 });
+      return {
+        reflect: (z) => complex.multiply(complex.multiply(direction, direction), complex.conj(z)),
+        sample: (segments) => Array.from({ length: segments + 1 }, (_, i) => complex.add(
+          u, complex.multiply(complex.subtract(v, u), { re: i / segments, im: 0 })
+        ))
+      };
+    }
+
+    // The circle also passes through u's inverse in the unit circle
+    const w = complex.divide(ONE, complex.conj(u));
+    const d = 2 * (u.re * (v.im - w.im) + v.re * (w.im - u.im) + w.re * (u.im - v.im));
+    const [su, sv, sw] = [u, v, w].map(z => z.re * z.re + z.im * z.im);
+    const center = {
+      re: (su * (v.im - w.im) + sv * (w.im - u.im) + sw * (u.im - v.im)) / d,
+      im: (su * (w.re - v.re) + sv * (u.re - w.re) + sw * (v.re - u.re)) / d
+    };
+    const radius = complex.abs(complex.subtract(u, center));
+    const start = complex.arg(complex.subtract(u, center));
+    let sweep = complex.arg(complex.subtract(v, center)) - start;
+    // The arc inside the disk is the minor one
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+    return {
+      reflect: (z) => complex.add(
+        center,
+        complex.divide({ re: radius * radius, im: 0 }, complex.conj(complex.subtract(z, center)))
+      ),
+      sample: (segments) => Array.from({ length: segments + 1 }, (_, i) => {
+        const angle = start + (sweep * i) / segments;
+        return { re: center.re + radius * Math.cos(angle), im: center.im + radius * Math.sin(angle) };
+      })
+    };
+  };
+
+  // Hyperbolic domain: treats the disk inside the radius as the Beltrami-Klein model and maps it
+  // onto the Poincaré disk, so straight grid lines become hyperbolic geodesics (arcs orthogonal
+  // to the rim). translation moves the hyperbolic plane with the disk automorphism
+  // (w + t) / (1 + conj(t) w), |t| < 1. The weight is 1 inside the disk and follows the blend
+  // falloff across the outer `fade` fraction of the radius, so the disk fades into the flat grid.
+  // tiling: { p, q, depth } adds the edges of a {p, q} tiling for drawing.
+  class HyperbolicDomain extends Domain {
+    constructor(type = 'hyperbolic', config = {}) {
+      super(type, config);
+      const { x = 0, y = 0 } = config.translation ?? this.options.translation ?? {};
+      this.translation = { x, y };
+      this.fade = config.fade ?? this.options.fade ?? 0.25;
+      const tiling = config.tiling ?? this.options.tiling ?? null;
+      this.tiling = tiling && { p: tiling.p, q: tiling.q, depth: tiling.depth ?? 3 };
+
+      if (!(Math.hypot(x, y) < 1)) {
+        throw new Error('HyperbolicDomain: translation must lie inside the unit disk');
+      }
+      if (!(this.fade > 0 && this.fade <= 1)) {
+        throw new Error('HyperbolicDomain: fade must be in (0, 1]');
+      }
+      if (this.tiling) {
+        const { p, q, depth } = this.tiling;
+        if (!Number.isInteger(p) || !Number.isInteger(q) || p < 3 || q < 3 || (p - 2) * (q - 2) <= 4) {
+          throw new Error('HyperbolicDomain: {p, q} tilings need integers with (p - 2)(q - 2) > 4');
+        }
+        if (!Number.isInteger(depth) || depth < 0) {
+          throw new Error('HyperbolicDomain: tiling depth must be a non-negative integer');
+        }
+      }
+    }
+
+    static serializableFields = ['translation', 'fade', 'tiling'];
+
+    // Tiling polygons for the current { p, q, depth }, in disk coordinates
+    #tilingCache = { key: null, polygons: [] };
+
+    serialize() {
+      const data = super.serialize();
+      data.translation = { ...this.translation };
+      data.tiling = this.tiling && { ...this.tiling };
+      return data;
+    }
+
+    #toLocal(point) {
+      return { re: (point.x - this.center.x) / this.radius, im: (point.y - this.center.y) / this.radius };
+    }
+
+    #toWorld(z) {
+      return { x: this.center.x + z.re * this.radius, y: this.center.y + z.im * this.radius };
+    }
+
+    // Disk automorphism moving the origin to t (or back, for direction = -1)
+    #translate(z, direction) {
+      const t = { re: direction * this.translation.x, im: direction * this.translation.y };
+      return geometry.mobiusTransform(z, { a: ONE, b: t, c: complex.conj(t), d: ONE });
+    }
+
+    weightAt(point) {
+      const distance = Math.hypot(point.x - this.center.x, point.y - this.center.y);
+      const inner = this.radius * (1 - this.fade);
+      if (distance <= inner) {
+        return 1;
+      }
+      return blendingFunctions[this.blendMode](distance - inner, this.radius - inner, this.falloff || {});
+    }
+
+    transform(point, direction = 1) {
+      const z = this.#toLocal(point);
+      const r2 = z.re * z.re + z.im * z.im;
+      if (r2 >= 1) {
+        return { ...point };
+      }
+
+      if (direction === 1) {
+        // Klein to Poincaré: k / (1 + sqrt(1 - |k|^2))
+        const scale = 1 / (1 + Math.sqrt(1 - r2));
+        return this.#toWorld(this.#translate({ re: z.re * scale, im: z.im * scale }, 1));
+      }
+      // Poincaré to Klein: 2p / (1 + |p|^2)
+      const p = this.#translate(z, -1);
+      const scale = 2 / (1 + p.re * p.re + p.im * p.im);
+      return this.#toWorld({ re: p.re * scale, im: p.im * scale });
+    }
+
+    inverse(transformedPoint) {
+      return this.transform(transformedPoint, -1);
+    }
+
+    // Tiling edges as world-space polylines (empty without a tiling)
+    getTilingEdges(segments = 16) {
+      if (!this.tiling) {
+        return [];
+      }
+      const { p, q, depth } = this.tiling;
+      const key = `${p},${q},${depth}`;
+      if (this.#tilingCache.key !== key) {
+        this.#tilingCache = { key, polygons: hyperbolicTiling(p, q, depth) };
+      }
+
+      // Neighbouring tiles share edges; draw each once
+      const edges = new Map();
+      this.#tilingCache.polygons.forEach(polygon => polygon.forEach((u, i) => {
+        const v = polygon[(i + 1) % polygon.length];
+        const ends = [u, v].map(tilingPointKey).sort().join('|');
+        if (!edges.has(ends)) {
+          edges.set(ends, hyperbolicGeodesic(u, v).sample(segments));
+        }
+      }));
+      return [...edges.values()].map(points => points.map(z => this.#toWorld(this.#translate(z, 1))));
+    }
+  }
+
+  // ==================================
+  // SECTION 4: Domain Composition Modes
+  // ==================================
+  // Each blend-style mode maps raw per-domain weights to effective weights plus a
+  // flat weight for the identity, so the contributions always sum to at most 1.
+  const compositionModes = {
+    // Legacy: raw weights summed, flat weight fills the rest (overshoots when domains overlap)
+    additive: (weighted) => ({
+      transformWeights: weighted,
+      flatWeight: Math.max(0, 1 - weighted.reduce((sum, { weight }) => sum + weight, 0))
+    }),
+
+    // Partition of unity: identical to additive until weights overlap, then rescaled to sum to 1
+    normalized: (weighted) => {
+      const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+      if (total <= 1) {
+        return { transformWeights: weighted, flatWeight: 1 - total };
+      }
+      return {
+        transformWeights: weighted.map(({ domain, weight }) => ({ domain, weight: weight / total })),
+        flatWeight: 0
+      };
+    },
+
+    // Winner takes all: only the strongest domain contributes
+    max: (weighted) => {
+      const winner = weighted.reduce((best, entry) => (!best || entry.weight > best.weight ? entry : best), null);
+      return {
+        transformWeights: weighted.map(({ domain, weight }) => ({
+          domain,
+          weight: winner && domain === winner.domain ? weight : 0
+        })),
+        flatWeight: winner ? 1 - winner.weight : 1
+      };
+    },
+
+    // Z-order layering: higher priority (then later) domains claim weight first
+    priority: (weighted) => {
+      const layered = weighted
+        .map((entry, index) => ({ ...entry, index }))
+        .sort((a, b) => (b.domain.priority - a.domain.priority) || (b.index - a.index));
+
+      let remaining = 1;
+      const claimed = new Map();
+      for (const { domain, weight } of layered) {
+        const share = weight * remaining;
+        claimed.set(domain, share);
+        remaining -= share;
+      }
+      return {
+        transformWeights: weighted.map(({ domain }) => ({ domain, weight: claimed.get(domain) })),
+        flatWeight: remaining
+      };
+    }
+  };
+
+  // 'sequential' feeds each domain's output into the next instead of blending in parallel
+  const COMPOSITION_MODES = [...Object.keys(compositionModes), 'sequential'];
+
+  const assertCompositionMode = (mode) => {
+    if (!COMPOSITION_MODES.includes(mode)) {
+      throw new Error(`Unknown composition mode: ${mode}`);
+    }
+  };
+
+  // Effective weights of each domain at a point under the given composition mode
+  const calculateCompositionWeights = (point, domains, mode = 'normalized') => {
+    assertCompositionMode(mode);
+    const weighted = domains.map(domain => ({ domain, weight: domain.weightAt(point) }));
+    if (mode === 'sequential') {
+      // Each stage blends against the identity on its own
+      return { transformWeights: weighted, flatWeight: null };
+    }
+    return compositionModes[mode](weighted);
+  };
+
+  // Forward transform of a point through all domains; weights may be passed in when already known
+  const composeTransform = (point, domains, mode = 'normalized', weights = null) => {
+    assertCompositionMode(mode);
+
+    if (mode === 'sequential') {
+      return domains.reduce((current, domain) => {
+        const weight = domain.weightAt(current);
+        if (weight <= 0) return current;
+        const transformed = domain.transform(current, 1);
+        return {
+          x: current.x + weight * (transformed.x - current.x),
+          y: current.y + weight * (transformed.y - current.y)
+        };
+      }, { x: point.x, y: point.y });
+    }
+
+    const { transformWeights, flatWeight } = weights || calculateCompositionWeights(point, domains, mode);
+    if (flatWeight === 1) {
+      return { x: point.x, y: point.y };
+    }
+
+    let x = flatWeight * point.x;
+    let y = flatWeight * point.y;
+    for (const { domain, weight } of transformWeights) {
+      if (weight > 0) {
+        const transformed = domain.transform(point, 1);
+        x += weight * transformed.x;
+        y += weight * transformed.y;
+      }
+    }
+    return { x, y };
+  };
+
+  // Inverse of composeTransform under the same mode, solved with Newton iterations.
+  // Returns the point plus { converged, iterations, residual }. When a domain that can fold
+  // (see Domain.mayFold) gives target more than one preimage, the result is not converged.
+  const inverseComposeTransform = (target, domains, mode = 'normalized', options = {}) => {
+    assertCompositionMode(mode);
+    if (domains.length === 0) {
+      return { x: target.x, y: target.y, converged: true, iterations: 0, residual: 0 };
+    }
+    const fn = p => composeTransform(p, domains, mode);
+    const foldingBounds = domains.filter(domain => domain.mayFold()).map(domain => domain.getBounds());
+    return numerics.rejectAmbiguousInverse(numerics.newtonInverse(fn, target, options), fn, target, foldingBounds);
+  };
+
+  // ===================================
+  // SECTION 5: Deformation Field Analysis
+  // ===================================
+
+  // Local behaviour of the composed transform at a point: Jacobian, its determinant
+  // (signed area ratio) and the principal stretches (singular values of the Jacobian)
+  const analyzeDeformation = (point, domains, mode = 'normalized', step = 1e-3) => {
+    const jacobian = numerics.jacobian(p => composeTransform(p, domains, mode), point, step);
+    const [[a, b], [c, d]] = jacobian;
+    const determinant = a * d - b * c;
+
+    // Singular values of a 2x2 matrix from its Frobenius norm and determinant
+    const frobenius = a * a + b * b + c * c + d * d;
+    const discriminant = Math.sqrt(Math.max(0, frobenius * frobenius - 4 * determinant * determinant));
+    const major = Math.sqrt((frobenius + discriminant) / 2);
+    const minor = Math.sqrt(Math.max(0, (frobenius - discriminant) / 2));
+
+    return {
+      jacobian,
+      determinant,
+      stretches: { major, minor },
+      // Ratio of principal stretches; 1 means locally conformal
+      anisotropy: minor > mathConstants.EPSILON ? major / minor : Infinity,
+      inverted: determinant < 0
+    };
+  };
+
+  // Signed polygon area via the shoelace formula (positive for the grid's native winding)
+  const signedArea = (points) => {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const q = points[(i + 1) % points.length];
+      area += p.x * q.y - q.x * p.y;
+    }
+    return area / 2;
+  };
+
+  // Compare a transformed quad with its original: area ratio and per-corner orientation.
+  // A corner determinant with the opposite sign to the original marks a fold-over.
+  const analyzeQuad = (original, transformed) => {
+    const originalArea = signedArea(original);
+    const transformedArea = signedArea(transformed);
+    const orientation = Math.sign(originalArea) || 1;
+
+    const cornerDeterminants = transformed.map((corner, i) => {
+      const next = transformed[(i + 1) % transformed.length];
+      const previous = transformed[(i + transformed.length - 1) % transformed.length];
+      return orientation * (
+        (next.x - corner.x) * (previous.y - corner.y) -
+        (next.y - corner.y) * (previous.x - corner.x)
+      );
+    });
+
+    return {
+      areaRatio: originalArea !== 0 ? transformedArea / originalArea : 0,
+      cornerDeterminants,
+      inverted: cornerDeterminants.some(det => det < 0)
+    };
+  };
+
   // ==============================
-  // SECTION 4: Deformation Manager
+  // SECTION 6: Deformation Manager
   // ==============================
   class DeformationManager {
     constructor() {
@@ -436,15 +1749,94 @@ export const createDeformationModule = () => {
   }
 
   // ============================
-  // SECTION 5: Support Utilities
+  // SECTION 7: Support Utilities
   // ============================
+  // Rescale a decaying curve so it reaches exactly 0 at the domain radius
+  const normalizeFalloff = (curve, t) => {
+    if (t >= 1) return 0;
+    const atEdge = curve(1);
+    return Math.max(0, (curve(t) - atEdge) / (curve(0) - atEdge));
+  };
+
+  // CSS-style cubic-bezier easing through (0,0), (x1,y1), (x2,y2), (1,1)
+  const cubicBezierEasing = (x1, y1, x2, y2, x) => {
+    const bezier = (p1, p2, s) => 3 * (1 - s) ** 2 * s * p1 + 3 * (1 - s) * s ** 2 * p2 + s ** 3;
+    const slope = (p1, p2, s) => 3 * (1 - s) ** 2 * p1 + 6 * (1 - s) * s * (p2 - p1) + 3 * s ** 2 * (1 - p2);
+
+    // Newton iterations for the curve parameter, falling back to bisection
+    let s = x;
+    for (let i = 0; i < 8; i++) {
+      const error = bezier(x1, x2, s) - x;
+      const derivative = slope(x1, x2, s);
+      if (Math.abs(error) < 1e-7) return bezier(y1, y2, s);
+      if (Math.abs(derivative) < 1e-6) break;
+      s -= error / derivative;
+    }
+
+    let low = 0;
+    let high = 1;
+    s = x;
+    for (let i = 0; i < 30; i++) {
+      const value = bezier(x1, x2, s);
+      if (Math.abs(value - x) < 1e-7) break;
+      if (value < x) low = s; else high = s;
+      s = (low + high) / 2;
+    }
+    return bezier(y1, y2, s);
+  };
+
+  // Falloff curves: (distance, radius, params) => weight in [0, 1]
   const blendingFunctions = {
     sharp: (distance, radius) => distance <= radius ? 1 : 0,
     linear: (distance, radius) => Math.max(0, 1 - distance / radius),
     smooth: (distance, radius) => {
       const t = Math.min(1, distance / radius);
       return 0.5 * (1 + Math.cos(Math.PI * t));
+    },
+    // params.sigma: standard deviation as a fraction of the radius
+    gaussian: (distance, radius, { sigma = 0.4 } = {}) => {
+      return normalizeFalloff(t => Math.exp(-(t * t) / (2 * sigma * sigma)), distance / radius);
+    },
+    smoothstep: (distance, radius) => {
+      const t = Math.min(1, distance / radius);
+      return 1 - t * t * (3 - 2 * t);
+    },
+    smootherstep: (distance, radius) => {
+      const t = Math.min(1, distance / radius);
+      return 1 - t * t * t * (t * (t * 6 - 15) + 10);
+    },
+    // params.sharpness: decay rate across the radius
+    exponential: (distance, radius, { sharpness = 4 } = {}) => {
+      return normalizeFalloff(t => Math.exp(-sharpness * t), distance / radius);
+    },
+    // params.strength: how quickly 1 / (1 + strength * t^2) decays
+    inverseSquare: (distance, radius, { strength = 10 } = {}) => {
+      return normalizeFalloff(t => 1 / (1 + strength * t * t), distance / radius);
+    },
+    // Full weight inside params.innerRadius, cosine falloff out to the radius
+    plateau: (distance, radius, { innerRadius = radius * 0.5 } = {}) => {
+      if (distance <= innerRadius) return 1;
+      if (distance >= radius) return 0;
+      const t = (distance - innerRadius) / (radius - innerRadius);
+      return 0.5 * (1 + Math.cos(Math.PI * t));
+    },
+    // Falloff editor format: params.controlPoints = [x1, y1, x2, y2] as in CSS cubic-bezier(),
+    // with x the normalized distance and y the fraction of weight lost
+    cubicBezier: (distance, radius, { controlPoints = [0.25, 0.1, 0.25, 1] } = {}) => {
+      const t = distance / radius;
+      if (t >= 1) return 0;
+      const [x1, y1, x2, y2] = controlPoints;
+      return Math.min(1, Math.max(0, 1 - cubicBezierEasing(x1, y1, x2, y2, t)));
+    }
+  };
+
+  // Register a custom falloff curve usable as a domain blendMode. The curve is cut off past
+  // the radius like the built-in ones, so Domain.getBounds stays a safe dirty region.
+  const registerBlendingFunction = (name, fn) => {
+    if (typeof fn !== 'function') {
+      throw new Error(`registerBlendingFunction: falloff "${name}" must be a function`);
     }
+    blendingFunctions[name] = (distance, radius, params) => (distance > radius ? 0 : fn(distance, radius, params));
   };
 
   const DomainFactory = {
@@ -455,7 +1847,16 @@ export const createDeformationModule = () => {
         conic: ConicDomain,
         noise: NoiseDomain,
         harmonic: HarmonicDomain,
-        'gaussian-curvature': GaussianCurvatureDomain
+        'gaussian-curvature': GaussianCurvatureDomain,
+        twist: TwistDomain,
+        swirl: TwistDomain,
+        bulge: BulgeDomain,
+        pinch: BulgeDomain,
+        lens: LensDomain,
+        ffd: FFDDomain,
+        rbf: RBFDomain,
+        conformal: ConformalDomain,
+        hyperbolic: HyperbolicDomain
       };
   
       const DomainConstructor = constructorMap[type];
@@ -473,7 +1874,7 @@ export const createDeformationModule = () => {
   
 
   // ==============================
-  // SECTION 6: Legacy API Support
+  // SECTION 8: Legacy API Support
   // ==============================
   const legacyAPI = {
     applyDomainTransformation: (point, domainConfig, direction = 1) => {
@@ -503,7 +1904,7 @@ export const createDeformationModule = () => {
   };
 
   // ====================
-  // SECTION 7: Public API
+  // SECTION 9: Public API
   // ====================
   return {
     // Core Components
@@ -515,14 +1916,40 @@ export const createDeformationModule = () => {
     NoiseDomain,
     HarmonicDomain,
     GaussianCurvatureDomain,
+    RadialWarpDomain,
+    TwistDomain,
+    BulgeDomain,
+    LensDomain,
+    FFDDomain,
+    RBFDomain,
+    ConformalDomain,
+    HyperbolicDomain,
+
+    // Domain composition
+    COMPOSITION_MODES,
+    calculateCompositionWeights,
+    composeTransform,
+    inverseComposeTransform,
+
+    // Deformation analysis
+    analyzeDeformation,
+    analyzeQuad,
+    signedArea,
 
     // Mathematical Tools
     mathConstants,
     complex,
     geometry,
+    numerics,
 
     // Utilities
     blendingFunctions,
+    latticeBases,
+    rbfKernels,
+    conformalMaps,
+    hyperbolicTiling,
+    registerBlendingFunction,
+    cubicBezierEasing,
     DomainFactory,
 
     // Presets
@@ -539,7 +1966,16 @@ DOMAIN_TYPES: {
   FLAT: 'flat',
   NOISE: 'noise',
   HARMONIC: 'harmonic',
-  GAUSSIAN_CURVATURE: 'gaussian-curvature'
+  GAUSSIAN_CURVATURE: 'gaussian-curvature',
+  TWIST: 'twist',
+  SWIRL: 'swirl',
+  BULGE: 'bulge',
+  PINCH: 'pinch',
+  LENS: 'lens',
+  FFD: 'ffd',
+  RBF: 'rbf',
+  CONFORMAL: 'conformal',
+  HYPERBOLIC: 'hyperbolic'
 },
 
 // Version information
@@ -1,4 +1,5 @@
 import { createAdaptiveGridModule } from './adaptiveGrid.js';
+import { createDomainEditorModule } from './domainEditor.js';
 
 // Set up the canvas and its rendering context
 const canvas = document.getElementById('gridCanvas');
@@ -12,7 +13,8 @@ const adaptiveGrid = createAdaptiveGridModule({
       size: 30, 
       showGrid: true, 
       color: '#444444',
-      snapToGrid: true 
+      snapToGrid: true,
+      showDomains: true
     },
     transformations: { 
       blendMode: 'smooth',
@@ -23,9 +25,28 @@ const adaptiveGrid = createAdaptiveGridModule({
   }
 });
 
+// Log domain changes; the module itself stays quiet unless something subscribes
+adaptiveGrid.on('domainAdded', ({ domain }) => console.info('[AdaptiveGrid] Added domain:', domain.type, domain.id));
+adaptiveGrid.on('domainRemoved', ({ id }) => console.info('[AdaptiveGrid] Removed domain:', id));
+
 // Initialize the grid module (updates viewport dimensions and renders the initial grid)
 adaptiveGrid.initialize();
 
+// Clear the canvas and draw the grid through the current view transform
+const redraw = () => {
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  adaptiveGrid.renderGrid();
+};
+
+// Canvas-relative position of a pointer or mouse event
+const getCanvasPoint = (event) => {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: event.clientX - rect.left,
+    y: event.clientY - rect.top
+  };
+};
+
 // Create an initial transformation domain using the updated factory method.
 // Note: The createTransformationDomain method now leverages the localShapeDeformation module's factory.
 const domain1 = adaptiveGrid.createTransformationDomain(
@@ -36,20 +57,79 @@ const domain1 = adaptiveGrid.createTransformationDomain(
 
 // Example: Re-render the grid after a short delay (e.g., to allow observation of the initial state)
 setTimeout(() => {
-  adaptiveGrid.renderGrid();
+  redraw();
 }, 1000);
 
+// Zoom around the cursor with the mouse wheel
+canvas.addEventListener('wheel', (event) => {
+  event.preventDefault();
+  const zoomFactor = Math.exp(-event.deltaY * 0.001);
+  const { zoomLevel } = adaptiveGrid.getState();
+  adaptiveGrid.zoomAtPoint(getCanvasPoint(event), zoomLevel * zoomFactor);
+  redraw();
+}, { passive: false });
+
+// Select, move, resize and delete domains directly on the canvas
+const domainEditor = createDomainEditorModule({
+  gridModule: adaptiveGrid,
+  onChange: redraw
+});
+
+// Drag to pan; a press that barely moves is still treated as a click
+const DRAG_THRESHOLD = 3;
+let dragState = null;
+let suppressClick = false;
+
+canvas.addEventListener('pointerdown', (event) => {
+  canvas.setPointerCapture(event.pointerId);
+  
+  // Pressing on a domain edits it instead of panning or creating a new one
+  if (domainEditor.handlePointerDown(getCanvasPoint(event))) {
+    suppressClick = true;
+    return;
+  }
+  
+  dragState = { last: getCanvasPoint(event), distance: 0 };
+  suppressClick = false;
+});
+
+canvas.addEventListener('pointermove', (event) => {
+  if (domainEditor.handlePointerMove(getCanvasPoint(event))) return;
+  canvas.style.cursor = domainEditor.getCursor(getCanvasPoint(event));
+  
+  if (!dragState) return;
+  const point = getCanvasPoint(event);
+  const dx = point.x - dragState.last.x;
+  const dy = point.y - dragState.last.y;
+  dragState.distance += Math.hypot(dx, dy);
+  dragState.last = point;
+  
+  if (dragState.distance > DRAG_THRESHOLD) {
+    adaptiveGrid.panBy(dx, dy);
+    redraw();
+  }
+});
+
+canvas.addEventListener('pointerup', (event) => {
+  canvas.releasePointerCapture(event.pointerId);
+  if (domainEditor.handlePointerUp()) return;
+  // Presses taken by the editor (including a drag cancelled with Escape) keep suppressClick set
+  if (dragState) {
+    suppressClick = dragState.distance > DRAG_THRESHOLD;
+    dragState = null;
+  }
+});
+
 // Add an event listener to create new transformation domains on canvas click
 canvas.addEventListener('click', (event) => {
-  const rect = canvas.getBoundingClientRect();
-  // Calculate the click position relative to the canvas
-  const clickPoint = {
-    x: event.clientX - rect.left,
-    y: event.clientY - rect.top
-  };
+  // Ignore the click that ends a pan drag
+  if (suppressClick) {
+    suppressClick = false;
+    return;
+  }
   
-  // Optionally, snap the click point to the grid
-  const snappedPoint = adaptiveGrid.snapToGrid(clickPoint);
+  // Convert the click from screen to world space and optionally snap it to the grid
+  const snappedPoint = adaptiveGrid.snapScreenPoint(getCanvasPoint(event));
   
   // Create a new domain at the snapped point; here we use a cylindrical domain for variety
   adaptiveGrid.createTransformationDomain(
@@ -59,7 +139,7 @@ canvas.addEventListener('click', (event) => {
   );
   
   // Update the grid rendering to reflect the new transformation domain
-  adaptiveGrid.renderGrid();
+  redraw();
 });
 
 // Example: Remove a domain after 5 seconds to demonstrate domain management
@@ -68,13 +148,39 @@ setTimeout(() => {
   adaptiveGrid.removeTransformationDomain(domain1.id);
   
   // Re-render the grid after removal
-  adaptiveGrid.renderGrid();
+  redraw();
 }, 5000);
 
+// Undo with Ctrl/Cmd+Z, redo with Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y
+window.addEventListener('keydown', (event) => {
+  // Delete and Escape go to the domain editor
+  if (domainEditor.handleKeyDown(event)) {
+    event.preventDefault();
+    return;
+  }
+  
+  if (!(event.ctrlKey || event.metaKey)) return;
+  const key = event.key.toLowerCase();
+  
+  let changed = false;
+  if (key === 'z' && !event.shiftKey) {
+    changed = adaptiveGrid.undo();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    changed = adaptiveGrid.redo();
+  } else {
+    return;
+  }
+  
+  event.preventDefault();
+  if (changed) {
+    redraw();
+  }
+});
+
 // Optionally, update viewport dimensions on window resize
 window.addEventListener('resize', () => {
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight;
   adaptiveGrid.updateViewportDimensions(canvas.width, canvas.height);
-  adaptiveGrid.renderGrid();
+  redraw();
 });
@@ -0,0 +1,43 @@
+// Command-line frame sequence export for batch rendering, e.g. in CI:
+//   node renderFrames.js scene.json out/ [--fps 30] [--start 0] [--end 2] [--width 800] [--height 600] [--domains]
+// Writes frame-NNNNN.svg files and manifest.json into the output directory.
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createAdaptiveGridModule } from './adaptiveGrid.js';
+import { createFrameExportModule, createFileSink } from './frameExport.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    fps: { type: 'string', default: '30' },
+    start: { type: 'string', default: '0' },
+    end: { type: 'string' },
+    width: { type: 'string', default: '800' },
+    height: { type: 'string', default: '600' },
+    domains: { type: 'boolean', default: false }
+  }
+});
+
+const [scenePath, outputDirectory] = positionals;
+if (!scenePath || !outputDirectory) {
+  console.error('Usage: node renderFrames.js <scene.json> <output directory> [--fps n] [--start s] [--end s] [--width px] [--height px] [--domains]');
+  process.exit(1);
+}
+
+const width = Number(values.width);
+const height = Number(values.height);
+const gridModule = createAdaptiveGridModule({ viewport: { width, height } });
+gridModule.importScene(await readFile(scenePath, 'utf8'));
+
+const frameExport = createFrameExportModule({ gridModule });
+const { manifest } = await frameExport.exportFrameSequence({
+  start: Number(values.start),
+  end: values.end === undefined ? gridModule.getAnimationDuration() : Number(values.end),
+  fps: Number(values.fps),
+  width,
+  height,
+  includeDomains: values.domains,
+  write: await createFileSink(outputDirectory)
+});
+
+console.log(`Wrote ${manifest.frameCount} frames to ${outputDirectory}`);
@@ -0,0 +1,280 @@
+import { createSvgExportModule } from './svgExport.js';
+
+/*
+ * Renderer interface shared by every backend:
+ *
+ *   beginFrame({ viewport })          Start a frame; viewport is { width, height }
+ *   endFrame()                        Finish the frame and return the backend's output
+ *   beginGroup(group)                 Push state: { id, transform, strokeStyle, lineWidth, opacity }
+ *   endGroup()                        Pop the state pushed by the matching beginGroup
+ *   drawPolygon(points, style)        Closed path through points
+ *   drawPolyline(points, style)       Open path through points
+ *   drawCircle(center, radius, style) Circle outline and/or fill
+ *   drawRect(x, y, width, height, style)
+ *   drawText(text, position, style)   Filled text; style may add font and textAlign
+ *   getSize()                         Backing surface size, or null if it has none
+ *
+ * Element styles may contain strokeStyle, fillStyle and lineWidth. Shapes are
+ * filled only when fillStyle is set and stroked unless stroke is false. A data
+ * object is passed through as data-* attributes by backends that support it.
+ * transform is an { a, b, c, d, e, f } matrix as returned by getViewMatrix.
+ */
+
+/**
+ * Creates a renderer that draws into a CanvasRenderingContext2D
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @returns {Object} Canvas renderer
+ */
+const createCanvasRenderer = (ctx) => {
+  // Apply element-level style, returning whether state was saved
+  const applyStyle = (style) => {
+    if (!style || (style.strokeStyle === undefined && style.fillStyle === undefined && style.lineWidth === undefined)) {
+      return false;
+    }
+    ctx.save();
+    if (style.strokeStyle !== undefined) ctx.strokeStyle = style.strokeStyle;
+    if (style.fillStyle !== undefined) ctx.fillStyle = style.fillStyle;
+    if (style.lineWidth !== undefined) ctx.lineWidth = style.lineWidth;
+    return true;
+  };
+
+  // Fill and/or stroke the current path according to style
+  const paint = (style = {}) => {
+    if (style.fillStyle !== undefined) ctx.fill();
+    if (style.stroke !== false) ctx.stroke();
+  };
+
+  const tracePath = (points, closed) => {
+    ctx.beginPath();
+    if (points.length === 0) return;
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    if (closed) ctx.closePath();
+  };
+
+  // Run a drawing operation with element-level style applied
+  const withStyle = (style, draw) => {
+    const saved = applyStyle(style);
+    draw();
+    paint(style);
+    if (saved) ctx.restore();
+  };
+
+  return {
+    ctx,
+
+    // Each frame replaces the last, as in the SVG and recording renderers
+    beginFrame: ({ viewport } = {}) => {
+      ctx.clearRect(0, 0, viewport?.width ?? ctx.canvas.width, viewport?.height ?? ctx.canvas.height);
+    },
+
+    endFrame: () => undefined,
+
+    beginGroup: ({ transform, strokeStyle, lineWidth, opacity } = {}) => {
+      ctx.save();
+      if (transform) {
+        const { a, b, c, d, e, f } = transform;
+        ctx.transform(a, b, c, d, e, f);
+      }
+      if (strokeStyle !== undefined) ctx.strokeStyle = strokeStyle;
+      if (lineWidth !== undefined) ctx.lineWidth = lineWidth;
+      // Nested groups multiply, as nested SVG opacities do
+      if (opacity !== undefined) ctx.globalAlpha *= opacity;
+    },
+
+    endGroup: () => {
+      ctx.restore();
+    },
+
+    drawPolygon: (points, style) => {
+      withStyle(style, () => tracePath(points, true));
+    },
+
+    drawPolyline: (points, style) => {
+      withStyle(style, () => tracePath(points, false));
+    },
+
+    drawCircle: (center, radius, style) => {
+      withStyle(style, () => {
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+      });
+    },
+
+    drawRect: (x, y, width, height, style) => {
+      withStyle(style, () => {
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+      });
+    },
+
+    drawText: (text, position, { fillStyle, font, textAlign } = {}) => {
+      ctx.save();
+      if (fillStyle !== undefined) ctx.fillStyle = fillStyle;
+      if (font !== undefined) ctx.font = font;
+      if (textAlign !== undefined) ctx.textAlign = textAlign;
+      ctx.fillText(text, position.x, position.y);
+      ctx.restore();
+    },
+
+    getSize: () => ({ width: ctx.canvas.width, height: ctx.canvas.height })
+  };
+};
+
+/**
+ * Creates a renderer that builds an SVG document string; endFrame returns the markup
+ * @param {Object} options - Configuration options
+ * @param {number} options.width - Output width (defaults to the frame viewport width)
+ * @param {number} options.height - Output height (defaults to the frame viewport height)
+ * @param {number} options.precision - Decimal places kept for coordinates
+ * @returns {Object} SVG renderer
+ */
+const createSvgRenderer = (options = {}) => {
+  const svg = createSvgExportModule({ precision: options.precision });
+  const { formatNumber } = svg;
+
+  let viewport = { width: 0, height: 0 };
+  // Stack of open groups; each holds its attributes and child markup
+  let stack = [];
+
+  const append = (markup) => {
+    stack[stack.length - 1].children.push(markup);
+  };
+
+  // Translate element style into SVG presentation and data attributes
+  const styleAttributes = (style = {}) => ({
+    ...Object.fromEntries(Object.entries(style.data || {}).map(([key, value]) => [`data-${key}`, value])),
+    stroke: style.stroke === false ? 'none' : style.strokeStyle,
+    fill: style.fillStyle,
+    'stroke-width': style.lineWidth !== undefined ? formatNumber(style.lineWidth) : undefined
+  });
+
+  return {
+    beginFrame: (frame = {}) => {
+      viewport = frame.viewport || viewport;
+      // Root group: canvas only fills on request, so default fill to none
+      stack = [{ attributes: { fill: 'none' }, children: [] }];
+    },
+
+    endFrame: () => {
+      const root = stack[0];
+      stack = [];
+      return svg.createSvgDocument({
+        width: options.width ?? viewport.width,
+        height: options.height ?? viewport.height,
+        viewBox: { x: 0, y: 0, width: viewport.width, height: viewport.height },
+        children: [svg.group(root.attributes, root.children)]
+      });
+    },
+
+    beginGroup: ({ id, transform, strokeStyle, lineWidth, opacity } = {}) => {
+      const attributes = {
+        id,
+        transform: transform
+          ? `matrix(${['a', 'b', 'c', 'd', 'e', 'f'].map(key => formatNumber(transform[key])).join(' ')})`
+          : undefined,
+        stroke: strokeStyle,
+        'stroke-width': lineWidth !== undefined ? formatNumber(lineWidth) : undefined,
+        'stroke-opacity': opacity,
+        'fill-opacity': opacity
+      };
+      stack.push({ attributes, children: [] });
+    },
+
+    endGroup: () => {
+      const { attributes, children } = stack.pop();
+      append(svg.group(attributes, children));
+    },
+
+    drawPolygon: (points, style) => {
+      append(svg.element('path', { d: svg.buildPolygonPath(points), ...styleAttributes(style) }));
+    },
+
+    drawPolyline: (points, style) => {
+      append(svg.element('polyline', { points: svg.buildPolylinePoints(points), ...styleAttributes(style) }));
+    },
+
+    drawCircle: (center, radius, style = {}) => {
+      append(svg.element('circle', {
+        cx: formatNumber(center.x),
+        cy: formatNumber(center.y),
+        r: formatNumber(radius),
+        ...styleAttributes(style)
+      }));
+    },
+
+    drawRect: (x, y, width, height, style) => {
+      append(svg.element('rect', {
+        x: formatNumber(x),
+        y: formatNumber(y),
+        width: formatNumber(width),
+        height: formatNumber(height),
+        ...styleAttributes(style)
+      }));
+    },
+
+    drawText: (text, position, { fillStyle, font, textAlign } = {}) => {
+      const anchors = { left: 'start', center: 'middle', right: 'end' };
+      const attributes = svg.formatAttributes({
+        x: formatNumber(position.x),
+        y: formatNumber(position.y),
+        fill: fillStyle ?? '#000000',
+        stroke: 'none',
+        style: font ? `font: ${font}` : undefined,
+        'text-anchor': anchors[textAlign]
+      });
+      append(`<text${attributes}>${svg.escapeAttribute(text)}</text>`);
+    },
+
+    getSize: () => null
+  };
+};
+
+/**
+ * Creates a renderer that draws nothing and records every call; endFrame returns the calls.
+ * Useful for headless runs and for asserting on what a frame would draw.
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.record - Set to false for a pure no-op renderer
+ * @returns {Object} Recording renderer
+ */
+const createRecordingRenderer = (options = {}) => {
+  const shouldRecord = options.record !== false;
+  let calls = [];
+
+  // Deep-copy arguments so later mutation of shared points does not alter the log
+  const capture = (method) => (...args) => {
+    if (shouldRecord) {
+      calls.push({ method, args: JSON.parse(JSON.stringify(args)) });
+    }
+  };
+
+  return {
+    beginFrame: (frame) => {
+      calls = [];
+      capture('beginFrame')(frame);
+    },
+
+    endFrame: () => {
+      capture('endFrame')();
+      return calls;
+    },
+
+    beginGroup: capture('beginGroup'),
+    endGroup: capture('endGroup'),
+    drawPolygon: capture('drawPolygon'),
+    drawPolyline: capture('drawPolyline'),
+    drawCircle: capture('drawCircle'),
+    drawRect: capture('drawRect'),
+    drawText: capture('drawText'),
+
+    getSize: () => null,
+    getCalls: () => [...calls],
+    clear: () => {
+      calls = [];
+    }
+  };
+};
+
+export { createCanvasRenderer, createSvgRenderer, createRecordingRenderer };
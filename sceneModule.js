@@ -0,0 +1,159 @@
+/**
+ * Creates a scene module that converts adaptive grid state to and from a
+ * versioned, JSON-friendly scene document
+ * @returns {Object} Scene module with methods for building, migrating and validating scenes
+ */
+const createSceneModule = () => {
+  // Identifies documents produced by this module
+  const SCENE_FORMAT = 'sculptgrid-scene';
+  // Bump when the document layout changes and register a migration from the previous version
+  const SCENE_VERSION = 2;
+
+  /**
+   * Migrations keyed by the version they upgrade from.
+   * Each receives a scene at version N and returns a scene at version N + 1.
+   */
+  const migrations = new Map([
+    // Unversioned documents: bare { parameters, domains } objects
+    [0, (scene) => ({
+      format: SCENE_FORMAT,
+      version: 1,
+      parameters: scene.parameters || {},
+      view: scene.view || null,
+      domains: scene.domains || []
+    })],
+    // Version 2 keeps blendMode (and the new falloff parameters) inside domain options
+    [1, (scene) => ({
+      ...scene,
+      domains: scene.domains.map(({ blendMode, ...domain }) => ({
+        ...domain,
+        options: {
+          ...(domain.options || {}),
+          ...(blendMode !== undefined && { blendMode })
+        }
+      }))
+    })]
+  ]);
+
+  /**
+   * Registers a migration hook that upgrades scenes from a given version
+   * @param {number} fromVersion - Version the migration accepts
+   * @param {Function} migrate - Receives the scene and returns it at fromVersion + 1
+   */
+  const registerMigration = (fromVersion, migrate) => {
+    if (typeof migrate !== 'function') {
+      throw new Error(`SceneModule: migration from version ${fromVersion} must be a function`);
+    }
+    migrations.set(fromVersion, migrate);
+  };
+
+  /**
+   * Upgrades a scene document to the current version
+   * @param {Object} scene - Parsed scene document
+   * @returns {Object} Scene at SCENE_VERSION
+   */
+  const migrate = (scene) => {
+    let current = scene;
+    let version = Number.isInteger(scene.version) ? scene.version : 0;
+
+    if (version > SCENE_VERSION) {
+      throw new Error(`SceneModule: scene version ${version} is newer than supported version ${SCENE_VERSION}`);
+    }
+
+    while (version < SCENE_VERSION) {
+      const step = migrations.get(version);
+      if (!step) {
+        throw new Error(`SceneModule: no migration registered from version ${version}`);
+      }
+      current = step(current);
+      version += 1;
+      current = { ...current, version };
+    }
+
+    return current;
+  };
+
+  /**
+   * Checks the structural requirements of a current-version scene
+   * @param {Object} scene - Scene at SCENE_VERSION
+   * @returns {Object} The same scene
+   */
+  const validate = (scene) => {
+    if (scene.format !== SCENE_FORMAT) {
+      throw new Error(`SceneModule: unexpected scene format "${scene.format}"`);
+    }
+    if (!Array.isArray(scene.domains)) {
+      throw new Error('SceneModule: scene.domains must be an array');
+    }
+    scene.domains.forEach((domain, index) => {
+      if (typeof domain.type !== 'string') {
+        throw new Error(`SceneModule: domain ${index} is missing a type`);
+      }
+      if (!domain.center || !Number.isFinite(domain.center.x) || !Number.isFinite(domain.center.y)) {
+        throw new Error(`SceneModule: domain ${index} has an invalid center`);
+      }
+      if (!Number.isFinite(domain.radius) || domain.radius <= 0) {
+        throw new Error(`SceneModule: domain ${index} has an invalid radius`);
+      }
+    });
+    // The view is optional, and so are its parts, but what is there must be usable
+    const { view } = scene;
+    if (view !== undefined && view !== null) {
+      if (typeof view !== 'object') {
+        throw new Error('SceneModule: scene.view must be an object');
+      }
+      if (view.zoomLevel !== undefined && !(Number.isFinite(view.zoomLevel) && view.zoomLevel > 0)) {
+        throw new Error('SceneModule: view.zoomLevel must be a positive number');
+      }
+      const { panOffset } = view;
+      if (panOffset !== undefined && (typeof panOffset !== 'object' || panOffset === null ||
+          ['x', 'y'].some(axis => panOffset[axis] !== undefined && !Number.isFinite(panOffset[axis])))) {
+        throw new Error('SceneModule: view.panOffset needs finite x and y');
+      }
+    }
+    return scene;
+  };
+
+  /**
+   * Builds a scene document from grid parameters, view, domain instances and animation tracks
+   * @param {Object} input - { parameters, view, domains, timeline }
+   * @returns {Object} Scene document at SCENE_VERSION
+   */
+  const createScene = ({ parameters, view, domains, timeline = {} }) => ({
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    parameters: JSON.parse(JSON.stringify(parameters)),
+    view: view ? JSON.parse(JSON.stringify(view)) : null,
+    domains: domains.map(domain => ({
+      id: domain.id,
+      ...domain.serialize()
+    })),
+    // Keyframes per domain id and property path; optional in documents
+    timeline: JSON.parse(JSON.stringify(timeline))
+  });
+
+  /**
+   * Parses, migrates and validates a scene document
+   * @param {string|Object} json - JSON string or already parsed document
+   * @returns {Object} Scene at SCENE_VERSION
+   */
+  const parseScene = (json) => {
+    const scene = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!scene || typeof scene !== 'object') {
+      throw new Error('SceneModule: scene must be an object or JSON string');
+    }
+    return validate(migrate(scene));
+  };
+
+  return {
+    SCENE_FORMAT,
+    SCENE_VERSION,
+    createScene,
+    parseScene,
+    migrate,
+    validate,
+    registerMigration
+  };
+};
+
+export { createSceneModule };
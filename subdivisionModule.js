@@ -0,0 +1,182 @@
+/**
+ * Creates a subdivision module that refines square grid cells quadtree-style where
+ * the transform bends them, and builds crack-free outlines across refinement levels
+ * @param {Object} config - Configuration
+ * @param {Function} config.transformPoint - Forward transform of a world-space point
+ * @param {Function} config.analyzeDeformationAt - Optional; enables the Jacobian criterion
+ * @returns {Object} Subdivision module
+ */
+const createSubdivisionModule = ({ transformPoint, analyzeDeformationAt = null }) => {
+  const pointKey = (p) => `${p.x},${p.y}`;
+
+  const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+  /**
+   * Distance between the transformed midpoint of a segment and the midpoint of its
+   * transformed endpoints, i.e. how far the transformed edge bows away from a straight line
+   * @param {Object} a - Original start point
+   * @param {Object} b - Original end point
+   * @param {Object} ta - Transformed start point
+   * @param {Object} tb - Transformed end point
+   * @returns {number} Deviation in world units
+   */
+  const edgeDeviation = (a, b, ta, tb) => {
+    const mid = transformPoint(midpoint(a, b));
+    const chordMid = midpoint(ta, tb);
+    return Math.hypot(mid.x - chordMid.x, mid.y - chordMid.y);
+  };
+
+  /**
+   * Decides whether a cell needs to be split further
+   * @param {Array} original - Original corners
+   * @param {Array} transformed - Transformed corners
+   * @param {Object} options - Refinement options
+   * @returns {boolean} True if the cell should be subdivided
+   */
+  const needsSubdivision = (original, transformed, { tolerance, scale, jacobianTolerance }) => {
+    const worldTolerance = tolerance / scale;
+
+    for (let i = 0; i < 4; i++) {
+      const j = (i + 1) % 4;
+      if (edgeDeviation(original[i], original[j], transformed[i], transformed[j]) > worldTolerance) {
+        return true;
+      }
+    }
+
+    // Interior bulge: transformed center against the bilinear center of the transformed corners
+    const center = transformPoint(midpoint(original[0], original[2]));
+    const bilinear = {
+      x: transformed.reduce((sum, p) => sum + p.x, 0) / 4,
+      y: transformed.reduce((sum, p) => sum + p.y, 0) / 4
+    };
+    if (Math.hypot(center.x - bilinear.x, center.y - bilinear.y) > worldTolerance) {
+      return true;
+    }
+
+    // Optional: relative variation of the Jacobian determinant across the corners
+    if (jacobianTolerance !== null && analyzeDeformationAt) {
+      const determinants = original.map(p => analyzeDeformationAt(p).determinant);
+      const min = Math.min(...determinants);
+      const max = Math.max(...determinants);
+      const reference = Math.max(Math.abs(min), Math.abs(max), 1e-10);
+      if ((max - min) / reference > jacobianTolerance) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+  /**
+   * Recursively refines one square cell
+   * @param {number} x - Original-space left edge
+   * @param {number} y - Original-space top edge
+   * @param {number} size - Cell size in world units
+   * @param {number} depth - Current refinement depth
+   * @param {Object} options - Refinement options
+   * @param {Array} leaves - Output array of leaf cells
+   */
+  const refineCell = (x, y, size, depth, options, leaves) => {
+    const original = [
+      { x, y },
+      { x: x + size, y },
+      { x: x + size, y: y + size },
+      { x, y: y + size }
+    ];
+    const transformed = original.map(p => transformPoint(p));
+
+    const half = size / 2;
+    const canSplit = depth < options.maxDepth && half * options.scale >= options.minScreenSize;
+
+    if (canSplit && needsSubdivision(original, transformed, options)) {
+      refineCell(x, y, half, depth + 1, options, leaves);
+      refineCell(x + half, y, half, depth + 1, options, leaves);
+      refineCell(x + half, y + half, half, depth + 1, options, leaves);
+      refineCell(x, y + half, half, depth + 1, options, leaves);
+      return;
+    }
+
+    leaves.push({ original, transformed, depth });
+  };
+
+  /**
+   * Interior vertices of finer neighbours lying on the edge a-b (hanging nodes), in order
+   * @param {Object} a - Original start point
+   * @param {Object} b - Original end point
+   * @param {Set} vertexKeys - Keys of every leaf corner
+   * @param {number} levels - Remaining dyadic levels to search
+   * @returns {Array} Original-space points strictly between a and b
+   */
+  const hangingNodes = (a, b, vertexKeys, levels) => {
+    if (levels <= 0) {
+      return [];
+    }
+    const mid = midpoint(a, b);
+    if (!vertexKeys.has(pointKey(mid))) {
+      return [];
+    }
+    return [
+      ...hangingNodes(a, mid, vertexKeys, levels - 1),
+      mid,
+      ...hangingNodes(mid, b, vertexKeys, levels - 1)
+    ];
+  };
+
+  /**
+   * Refines base cells and attaches crack-free outlines
+   * @param {Array} baseCells - Cells with { original } corners on a square lattice
+   * @param {Object} options - Refinement options
+   * @param {number} options.tolerance - Allowed edge deviation in screen pixels
+   * @param {number} options.scale - World-to-screen scale (zoom level)
+   * @param {number} options.maxDepth - Maximum subdivision depth
+   * @param {number} options.minScreenSize - Smallest cell size in screen pixels
+   * @param {number|null} options.jacobianTolerance - Allowed relative determinant variation
+   * @returns {Array} Leaf cells with { original, transformed, depth, outline }
+   */
+  const subdivide = (baseCells, options) => {
+    const settings = {
+      tolerance: 0.5,
+      scale: 1,
+      maxDepth: 3,
+      minScreenSize: 4,
+      jacobianTolerance: null,
+      ...options
+    };
+
+    const leaves = [];
+    baseCells.forEach(cell => {
+      const [topLeft, topRight] = cell.original;
+      refineCell(topLeft.x, topLeft.y, topRight.x - topLeft.x, 0, settings, leaves);
+    });
+
+    // Every leaf corner, so coarse edges can pick up vertices introduced by finer neighbours
+    const vertexKeys = new Set();
+    leaves.forEach(leaf => leaf.original.forEach(p => vertexKeys.add(pointKey(p))));
+
+    return leaves.map(leaf => {
+      const outlineOriginal = [];
+      for (let i = 0; i < 4; i++) {
+        const a = leaf.original[i];
+        const b = leaf.original[(i + 1) % 4];
+        outlineOriginal.push(a, ...hangingNodes(a, b, vertexKeys, settings.maxDepth - leaf.depth));
+      }
+      return {
+        original: leaf.original,
+        transformed: leaf.transformed,
+        depth: leaf.depth,
+        outline: {
+          original: outlineOriginal,
+          transformed: outlineOriginal.map(p => transformPoint(p))
+        }
+      };
+    });
+  };
+
+  return {
+    subdivide,
+    needsSubdivision,
+    edgeDeviation
+  };
+};
+
+export { createSubdivisionModule };
@@ -0,0 +1,130 @@
+/**
+ * Creates an SVG export module that serializes transformed grid geometry to
+ * standalone SVG markup without any DOM or canvas dependency
+ * @param {Object} options - Configuration options
+ * @param {number} options.precision - Decimal places kept for coordinates
+ * @returns {Object} SVG export module with builders for paths and documents
+ */
+const createSvgExportModule = (options = {}) => {
+  const precision = options.precision ?? 2;
+
+  /**
+   * Formats a number compactly, dropping trailing zeros
+   * @param {number} value - Number to format
+   * @returns {string} Formatted number
+   */
+  const formatNumber = (value) => {
+    const rounded = Number(value.toFixed(precision));
+    // Avoid "-0" in the output
+    return String(rounded === 0 ? 0 : rounded);
+  };
+
+  /**
+   * Escapes a value for use inside a double-quoted XML attribute
+   * @param {any} value - Attribute value
+   * @returns {string} Escaped string
+   */
+  const escapeAttribute = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  /**
+   * Serializes an attribute object, skipping null and undefined values
+   * @param {Object} attributes - Attribute map
+   * @returns {string} Attribute string with a leading space
+   */
+  const formatAttributes = (attributes) => Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+
+  /**
+   * Builds path data for a closed polygon
+   * @param {Array} points - Polygon vertices
+   * @returns {string} SVG path data
+   */
+  const buildPolygonPath = (points) => {
+    if (points.length === 0) {
+      return '';
+    }
+    const [first, ...rest] = points;
+    const segments = rest.map(p => `L${formatNumber(p.x)} ${formatNumber(p.y)}`).join('');
+    return `M${formatNumber(first.x)} ${formatNumber(first.y)}${segments}Z`;
+  };
+
+  /**
+   * Builds the points attribute for an open polyline
+   * @param {Array} points - Polyline vertices
+   * @returns {string} SVG points list
+   */
+  const buildPolylinePoints = (points) => points
+    .map(p => `${formatNumber(p.x)},${formatNumber(p.y)}`)
+    .join(' ');
+
+  /**
+   * Creates a self-closing element
+   * @param {string} tag - Element name
+   * @param {Object} attributes - Attribute map
+   * @returns {string} Element markup
+   */
+  const element = (tag, attributes) => `<${tag}${formatAttributes(attributes)}/>`;
+
+  /**
+   * Indents every line of a markup string
+   * @param {string} markup - Markup, possibly spanning several lines
+   * @param {string} indent - Indentation prefix
+   * @returns {string} Indented markup
+   */
+  const indentLines = (markup, indent = '  ') => markup.replace(/^/gm, indent);
+
+  /**
+   * Wraps child markup in a group element
+   * @param {Object} attributes - Group attributes
+   * @param {Array} children - Child markup strings
+   * @returns {string} Group markup
+   */
+  const group = (attributes, children) => [
+    `<g${formatAttributes(attributes)}>`,
+    ...children.map(child => indentLines(child)),
+    '</g>'
+  ].join('\n');
+
+  /**
+   * Builds a complete SVG document
+   * @param {Object} config - Document configuration
+   * @param {number} config.width - Output width
+   * @param {number} config.height - Output height
+   * @param {Object} config.viewBox - { x, y, width, height } in user units
+   * @param {Array} config.children - Top-level markup strings
+   * @returns {string} SVG document
+   */
+  const createSvgDocument = ({ width, height, viewBox, children }) => {
+    const box = [viewBox.x, viewBox.y, viewBox.width, viewBox.height].map(formatNumber).join(' ');
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg"${formatAttributes({
+        width: formatNumber(width),
+        height: formatNumber(height),
+        viewBox: box
+      })}>`,
+      ...children.map(child => indentLines(child)),
+      '</svg>',
+      ''
+    ].join('\n');
+  };
+
+  return {
+    formatNumber,
+    escapeAttribute,
+    formatAttributes,
+    buildPolygonPath,
+    buildPolylinePoints,
+    element,
+    group,
+    indentLines,
+    createSvgDocument
+  };
+};
+
+export { createSvgExportModule };
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+
+const viewport = { width: 200, height: 200 };
+
+test('animated noise offset gives finite, changing output', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 100, y: 100 }, 80, grid.DOMAIN_TYPES.NOISE, { seed: 7 });
+  grid.updateTransformationDomain(domain.id, { amplitude: 10 });
+  grid.setDomainKeyframes(domain.id, 'offsetX', [{ time: 0, value: 0 }, { time: 1, value: 3.5 }]);
+  const point = { x: 110, y: 95 };
+
+  grid.setTime(0);
+  const start = grid.transformPoint(point);
+  grid.setTime(1);
+  const end = grid.transformPoint(point);
+
+  assert.ok([start.x, start.y, end.x, end.y].every(Number.isFinite));
+  assert.notDeepEqual(start, end);
+  assert.ok(Array.from(grid.generateGridMesh().transformed).every(Number.isFinite));
+});
+
+test('play refuses to start without keyframes', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  assert.equal(grid.play({ loop: false }), false);
+  assert.equal(grid.isPlaying(), false);
+});
+
+test('removing a domain drops its tracks until undone', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 100, y: 100 }, 50, grid.DOMAIN_TYPES.SPHERICAL);
+  grid.setDomainKeyframes(domain.id, 'radius', [{ time: 0, value: 50 }, { time: 4, value: 80 }]);
+
+  grid.removeTransformationDomain(domain.id);
+  assert.equal(grid.getAnimationDuration(), 0);
+
+  grid.undo();
+  assert.equal(grid.getAnimationDuration(), 4);
+  grid.redo();
+  assert.equal(grid.getAnimationDuration(), 0);
+});
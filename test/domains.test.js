@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+
+const viewport = { width: 300, height: 300 };
+
+// Largest jump of the blended transform between points just inside and just outside a circle
+const rimJump = (grid, center, radius) => {
+  let jump = 0;
+  for (let i = 0; i < 64; i++) {
+    const angle = (2 * Math.PI * i) / 64;
+    const at = (r) => grid.transformPoint({ x: center.x + r * Math.cos(angle), y: center.y + r * Math.sin(angle) });
+    const inside = at(radius - 1e-6);
+    const outside = at(radius + 1e-6);
+    jump = Math.max(jump, Math.hypot(inside.x - outside.x, inside.y - outside.y));
+  }
+  return jump;
+};
+
+test('RBF warps are continuous across the rim', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const center = { x: 150, y: 150 };
+  const domain = grid.createTransformationDomain(center, 100, grid.DOMAIN_TYPES.RBF);
+  grid.addDomainPointPair(domain.id, { x: 180, y: 130 }, { x: 215, y: 160 });
+  grid.addDomainPointPair(domain.id, { x: 100, y: 170 }, { x: 90, y: 120 });
+
+  assert.ok(rimJump(grid, center, 100) < 1e-3);
+});
+
+test('a domain changed to RBF takes the grid regularization', () => {
+  const grid = createAdaptiveGridModule({ viewport, parameters: { transformations: { regularizationFactor: 0.25 } } });
+  const domain = grid.createTransformationDomain({ x: 150, y: 150 }, 100, grid.DOMAIN_TYPES.SPHERICAL);
+
+  const rbf = grid.updateTransformationDomain(domain.id, { type: 'rbf' });
+  assert.equal(rbf.regularization, 0.25);
+});
+
+test('FFD lattices fade to the identity at the edge of their square', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 150, y: 150 }, 100, grid.DOMAIN_TYPES.FFD);
+  grid.setDomainControlPoint(domain.id, 3, 3, { x: 280, y: 290 });
+  grid.setDomainControlPoint(domain.id, 1, 2, { x: 110, y: 170 });
+
+  // Across each side of the square, including near the corners
+  let jump = 0;
+  for (let i = 0; i <= 40; i++) {
+    const along = 50 + 5 * i;
+    [[along, 50], [along, 250], [50, along], [250, along]].forEach(([x, y]) => {
+      const nudge = { x: x === 250 ? 1e-6 : x === 50 ? -1e-6 : 0, y: y === 250 ? 1e-6 : y === 50 ? -1e-6 : 0 };
+      const inside = grid.transformPoint({ x: x - nudge.x, y: y - nudge.y });
+      const outside = grid.transformPoint({ x: x + nudge.x, y: y + nudge.y });
+      jump = Math.max(jump, Math.hypot(inside.x - outside.x, inside.y - outside.y));
+    });
+  }
+  assert.ok(jump < 1e-3);
+});
+
+test('FFD domains are picked anywhere in their square', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 150, y: 150 }, 100, grid.DOMAIN_TYPES.FFD);
+
+  assert.equal(grid.getDomainAtPoint({ x: 240, y: 240 }, 0), domain);
+  assert.equal(grid.getDomainAtPoint({ x: 255, y: 150 }, 0), null);
+});
+
+test('conformal inverses near the saturated band never land on the wrong preimage', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  // 1/z: the saturated displacement folds the map around the pole at the center
+  const domain = grid.createTransformationDomain({ x: 200, y: 150 }, 100, grid.DOMAIN_TYPES.CONFORMAL, {
+    coefficients: { a: { re: 0, im: 0 }, b: { re: 1, im: 0 }, c: { re: 1, im: 0 }, d: { re: 0, im: 0 } }
+  });
+  const point = { x: 230, y: 170 };
+
+  [domain.inverse(domain.transform(point)), grid.inverseTransformPoint(grid.transformPoint(point))].forEach(result => {
+    assert.ok(result.converged === false || Math.hypot(result.x - point.x, result.y - point.y) < 1e-2);
+  });
+});
+
+test('conformal inverses still converge where the map does not fold', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 200, y: 150 }, 100, grid.DOMAIN_TYPES.CONFORMAL, {
+    coefficients: { a: { re: 1.1, im: 0.05 }, b: { re: 0.05, im: 0 }, c: { re: 0, im: 0 }, d: { re: 1, im: 0 } }
+  });
+  const point = { x: 220, y: 160 };
+
+  [domain.inverse(domain.transform(point)), grid.inverseTransformPoint(grid.transformPoint(point))].forEach(result => {
+    assert.equal(result.converged, true);
+    assert.ok(Math.hypot(result.x - point.x, result.y - point.y) < 1e-2);
+  });
+});
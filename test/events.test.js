@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventModule } from '../eventModule.js';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+
+test('a failing listener is reported on the error event and the others still run', (t) => {
+  const consoleError = t.mock.method(console, 'error');
+  const events = createEventModule(['changed']);
+  const failure = new Error('listener failed');
+  const errors = [];
+  let called = false;
+  events.on('error', report => errors.push(report));
+  events.on('changed', () => {
+    throw failure;
+  });
+  events.on('changed', () => {
+    called = true;
+  });
+
+  events.emit('changed', { value: 1 });
+
+  assert.equal(called, true);
+  assert.deepEqual(errors, [{ event: 'changed', error: failure, payload: { value: 1 } }]);
+  assert.equal(consoleError.mock.callCount(), 0);
+});
+
+test('listener failures nobody handles are rethrown asynchronously', (t) => {
+  const queued = [];
+  t.mock.method(globalThis, 'queueMicrotask', callback => queued.push(callback));
+  const events = createEventModule(['changed']);
+  const failure = new Error('listener failed');
+  events.on('changed', () => {
+    throw failure;
+  });
+
+  events.emit('changed', {});
+
+  assert.equal(queued.length, 1);
+  assert.throws(queued[0], error => error === failure);
+});
+
+test('zoomAtPoint announces one viewport change with the final view', () => {
+  const grid = createAdaptiveGridModule({ viewport: { width: 300, height: 300 } });
+  const changes = [];
+  grid.on('viewportChanged', change => changes.push(change));
+
+  grid.zoomAtPoint({ x: 100, y: 50 }, 2);
+
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].zoomLevel, 2);
+  assert.deepEqual(changes[0].panOffset, grid.getState().panOffset);
+  assert.deepEqual(grid.getState().panOffset, { x: -100, y: -50 });
+});
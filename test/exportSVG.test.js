@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+
+// Stored snapshot; regenerate with UPDATE_SNAPSHOTS=1 node --test test/
+const snapshotUrl = new URL('./snapshots/exportSVG.svg', import.meta.url);
+
+test('exportSVG matches the stored snapshot', async () => {
+  const grid = createAdaptiveGridModule({ viewport: { width: 120, height: 90 }, parameters: { grid: { size: 20 } } });
+  grid.createTransformationDomain({ x: 60, y: 45 }, 30, grid.DOMAIN_TYPES.SPHERICAL);
+
+  const svg = grid.exportSVG({ includeDomains: true, precision: 2 });
+  if (process.env.UPDATE_SNAPSHOTS) {
+    await writeFile(snapshotUrl, svg);
+  }
+  assert.equal(svg, await readFile(snapshotUrl, 'utf8'));
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+import { createFrameExportModule } from '../frameExport.js';
+
+// A grid with one domain sliding across the viewport over one second
+const createAnimatedGrid = () => {
+  const grid = createAdaptiveGridModule({ viewport: { width: 200, height: 150 } });
+  const domain = grid.createTransformationDomain({ x: 50, y: 75 }, 40, grid.DOMAIN_TYPES.SPHERICAL);
+  grid.setDomainKeyframes(domain.id, 'center.x', [{ time: 0, value: 50 }, { time: 1, value: 150 }]);
+  return grid;
+};
+
+test('exports one distinct frame per step and a manifest', async () => {
+  const grid = createAnimatedGrid();
+  const frameExport = createFrameExportModule({ gridModule: grid });
+
+  const { manifest, files } = await frameExport.exportFrameSequence({ start: 0, end: 1, fps: 4 });
+
+  assert.equal(manifest.format, frameExport.MANIFEST_FORMAT);
+  assert.equal(manifest.version, frameExport.MANIFEST_VERSION);
+  assert.equal(manifest.fps, 4);
+  assert.equal(manifest.frameCount, 5);
+  assert.equal(manifest.width, 200);
+  assert.equal(manifest.height, 150);
+  assert.equal(manifest.rgba, null);
+  assert.deepEqual(manifest.frames.map(frame => frame.time), [0, 0.25, 0.5, 0.75, 1]);
+  assert.deepEqual(manifest.frames.map(frame => frame.svg), [0, 1, 2, 3, 4].map(i => `frame-0000${i}.svg`));
+
+  const svgs = manifest.frames.map(frame => files.get(frame.svg));
+  assert.ok(svgs.every(svg => svg.startsWith('<svg')));
+  assert.equal(new Set(svgs).size, svgs.length);
+  assert.deepEqual(JSON.parse(files.get('manifest.json')), manifest);
+  assert.equal(grid.getTime(), 0);
+});
+
+test('resumes interrupted playback with its options', async () => {
+  const grid = createAnimatedGrid();
+  const onFrame = () => {};
+  grid.play({ loop: false, speed: 2, onFrame });
+
+  await createFrameExportModule({ gridModule: grid }).exportFrameSequence({ start: 0, end: 0.5, fps: 2 });
+
+  assert.deepEqual(grid.getPlaybackOptions(), { loop: false, speed: 2, onFrame });
+  grid.pause();
+});
+
+test('resumes playback and restores the time when the rasterizer throws', async () => {
+  const grid = createAnimatedGrid();
+  const onFrame = () => {};
+  grid.setTime(0.25);
+  grid.play({ loop: true, speed: 1, onFrame });
+  const time = grid.getTime();
+  const rasterizer = async () => {
+    throw new Error('rasterizer failed');
+  };
+
+  await assert.rejects(
+    createFrameExportModule({ gridModule: grid }).exportFrameSequence({ start: 0, end: 0.5, fps: 2, rasterizer }),
+    /rasterizer failed/
+  );
+
+  assert.deepEqual(grid.getPlaybackOptions(), { loop: true, speed: 1, onFrame });
+  assert.equal(grid.getTime(), time);
+  grid.pause();
+});
+
+test('renderFrames.js writes frames and a manifest from a scene file', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'sculptgrid-frames-'));
+  try {
+    const scenePath = join(directory, 'scene.json');
+    await writeFile(scenePath, createAnimatedGrid().exportScene());
+    const output = join(directory, 'out');
+
+    const script = fileURLToPath(new URL('../renderFrames.js', import.meta.url));
+    await promisify(execFile)(process.execPath, [script, scenePath, output, '--fps', '2'], { timeout: 60000 });
+
+    const manifest = JSON.parse(await readFile(join(output, 'manifest.json'), 'utf8'));
+    assert.equal(manifest.frameCount, 3);
+    assert.deepEqual((await readdir(output)).sort(), ['frame-00000.svg', 'frame-00001.svg', 'frame-00002.svg', 'manifest.json']);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,67 @@
+// Headless smoke checks: run with `node --test test/`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+import { createCanvasRenderer, createRecordingRenderer, createSvgRenderer } from '../renderers.js';
+
+const viewport = { width: 320, height: 240 };
+
+test('builds from viewport dimensions without a canvas', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  assert.deepEqual(grid.getState().viewportDimensions, viewport);
+});
+
+test('renders through the recording renderer', () => {
+  const renderer = createRecordingRenderer();
+  const grid = createAdaptiveGridModule({ viewport, renderer });
+  grid.createTransformationDomain({ x: 160, y: 120 }, 60, grid.DOMAIN_TYPES.SPHERICAL);
+
+  const calls = grid.renderGrid();
+  assert.equal(calls[0].method, 'beginFrame');
+  assert.equal(calls[calls.length - 1].method, 'endFrame');
+  assert.ok(calls.some(call => call.method === 'drawPolyline'));
+});
+
+test('renders through the SVG renderer', () => {
+  const grid = createAdaptiveGridModule({ viewport, renderer: createSvgRenderer() });
+  grid.createTransformationDomain({ x: 160, y: 120 }, 60, grid.DOMAIN_TYPES.SPHERICAL);
+
+  const svg = grid.renderGrid();
+  assert.match(svg, /^<svg[^>]* viewBox="0 0 320 240"/);
+  assert.match(svg, /<polyline /);
+});
+
+test('adaptive subdivision stops at minSubdivisionCellSize', () => {
+  const cellCount = (minSubdivisionCellSize) => {
+    const grid = createAdaptiveGridModule({
+      viewport,
+      parameters: { grid: { adaptiveSubdivision: true, subdivisionTolerance: 0.05, minSubdivisionCellSize } }
+    });
+    grid.createTransformationDomain({ x: 160, y: 120 }, 80, grid.DOMAIN_TYPES.SPHERICAL);
+    return grid.generateGridCells().length;
+  };
+
+  const base = cellCount(1000);
+  assert.ok(cellCount(2) > base);
+  assert.equal(cellCount(20), base);
+});
+
+test('nested canvas groups multiply their opacity', () => {
+  // Just enough of a 2D context to track save/restore of globalAlpha
+  const saved = [];
+  const ctx = {
+    globalAlpha: 1,
+    canvas: { width: 10, height: 10 },
+    save() { saved.push(this.globalAlpha); },
+    restore() { this.globalAlpha = saved.pop(); }
+  };
+  const renderer = createCanvasRenderer(ctx);
+
+  renderer.beginGroup({ opacity: 0.5 });
+  renderer.beginGroup({ opacity: 0.4 });
+  assert.equal(ctx.globalAlpha, 0.2);
+  renderer.endGroup();
+  assert.equal(ctx.globalAlpha, 0.5);
+  renderer.endGroup();
+  assert.equal(ctx.globalAlpha, 1);
+});
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistoryModule } from '../historyModule.js';
+
+test('endTransaction without an open transaction returns false quietly', (t) => {
+  const warn = t.mock.method(console, 'warn');
+  const history = createHistoryModule();
+
+  assert.equal(history.endTransaction(), false);
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(history.canUndo(), false);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLatticeModule } from '../latticeModule.js';
+import { createGridMeshModule } from '../gridMeshModule.js';
+
+const bounds = { startX: -40, startY: -30, endX: 260, endY: 190 };
+
+// Undirected edges drawn by a mesh's lines, with how often each is drawn
+const drawnEdges = (mesh) => {
+  const edges = new Map();
+  for (let line = 0; line < mesh.lineCount; line++) {
+    const indices = mesh.lineIndices.subarray(mesh.lineOffsets[line], mesh.lineOffsets[line + 1]);
+    for (let k = 0; k + 1 < indices.length; k++) {
+      const key = [indices[k], indices[k + 1]].sort((a, b) => a - b).join('-');
+      edges.set(key, (edges.get(key) ?? 0) + 1);
+    }
+  }
+  return edges;
+};
+
+['triangular', 'hexagonal'].forEach(name => {
+  test(`${name} lines draw every cell edge once as connected paths`, () => {
+    const lattice = createLatticeModule().getLattice(name);
+    const gridMeshModule = createGridMeshModule();
+    const cells = lattice.cells(bounds, 25);
+
+    const perEdge = gridMeshModule.meshFromCells(cells, null);
+    const merged = gridMeshModule.meshFromCells(cells, lattice.lines(bounds, 25));
+    const cellEdges = drawnEdges(perEdge);
+    const lineEdges = drawnEdges(merged);
+
+    assert.deepEqual([...lineEdges.keys()].sort(), [...cellEdges.keys()].sort());
+    assert.ok([...lineEdges.values()].every(count => count === 1));
+    assert.ok(merged.lineCount < perEdge.lineCount / 2);
+  });
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+
+const viewport = { width: 300, height: 300 };
+
+// A scene document with one domain of the given radius and the given view
+const sceneWith = ({ view = { zoomLevel: 2, panOffset: { x: 30, y: -20 } }, radius = 50 } = {}) => {
+  const source = createAdaptiveGridModule({ viewport });
+  source.createTransformationDomain({ x: 150, y: 150 }, 50, source.DOMAIN_TYPES.SPHERICAL);
+  const scene = JSON.parse(source.exportScene());
+  scene.domains[0].radius = radius;
+  return JSON.stringify({ ...scene, view });
+};
+
+test('importScene rejects unusable views and radii without touching the grid', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 100, y: 100 }, 40, grid.DOMAIN_TYPES.SPHERICAL);
+
+  [
+    sceneWith({ view: { zoomLevel: 0 } }),
+    sceneWith({ view: { zoomLevel: 'far' } }),
+    sceneWith({ view: { panOffset: { x: Infinity, y: 0 } } }),
+    sceneWith({ radius: 0 }),
+    sceneWith({ radius: -10 })
+  ].forEach(json => assert.throws(() => grid.importScene(json), /SceneModule/));
+
+  assert.deepEqual(grid.getState().transformationDomains, [domain]);
+  assert.equal(grid.getState().zoomLevel, 1);
+});
+
+test('importScene clears the selection and undoes and redoes the view', () => {
+  const grid = createAdaptiveGridModule({ viewport });
+  const domain = grid.createTransformationDomain({ x: 100, y: 100 }, 40, grid.DOMAIN_TYPES.SPHERICAL);
+  grid.selectDomain(domain.id);
+  grid.setPanOffset(5, 5);
+
+  grid.importScene(sceneWith());
+  assert.equal(grid.getSelectedDomain(), null);
+  assert.equal(grid.getState().zoomLevel, 2);
+  assert.deepEqual(grid.getState().panOffset, { x: 30, y: -20 });
+
+  grid.undo();
+  assert.equal(grid.getState().zoomLevel, 1);
+  assert.deepEqual(grid.getState().panOffset, { x: 5, y: 5 });
+
+  grid.redo();
+  assert.equal(grid.getState().zoomLevel, 2);
+  assert.deepEqual(grid.getState().panOffset, { x: 30, y: -20 });
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdaptiveGridModule } from '../adaptiveGrid.js';
+import { createTransformWorkerModule, spawnTransformWorker } from '../workerModule.js';
+
+const viewport = { width: 300, height: 200 };
+
+const addDomains = (grid) => {
+  grid.createTransformationDomain({ x: 120, y: 90 }, 70, grid.DOMAIN_TYPES.SPHERICAL);
+  grid.createTransformationDomain({ x: 200, y: 120 }, 60, grid.DOMAIN_TYPES.TWIST);
+};
+
+test('worker results match the main thread', async () => {
+  const client = createTransformWorkerModule({ worker: await spawnTransformWorker() });
+  try {
+    const mainThread = createAdaptiveGridModule({ viewport });
+    const offThread = createAdaptiveGridModule({ viewport, worker: client });
+    addDomains(mainThread);
+    addDomains(offThread);
+
+    const expected = await mainThread.generateGridPointsAsync();
+    const actual = await offThread.generateGridPointsAsync();
+
+    assert.equal(actual.count, expected.count);
+    assert.deepEqual(actual.original, expected.original);
+    // Both sides hold Float32 results of the same computation
+    assert.ok(actual.transformed.every((value, i) => Math.abs(value - expected.transformed[i]) < 1e-3));
+  } finally {
+    await client.terminate();
+  }
+});
+
+test('cancelling a job rejects with an AbortError', async () => {
+  const client = createTransformWorkerModule({ worker: await spawnTransformWorker() });
+  try {
+    const grid = createAdaptiveGridModule({ viewport });
+    addDomains(grid);
+    const points = Float64Array.from({ length: 400000 }, (_, i) => i % 300);
+
+    const job = client.transformPoints(points, { domains: grid.getState().transformationDomains, compositionMode: 'normalized' });
+    const [jobId] = client.getPendingJobs();
+    assert.equal(client.cancel(jobId), true);
+    await assert.rejects(job, { name: 'AbortError' });
+    assert.deepEqual(client.getPendingJobs(), []);
+  } finally {
+    await client.terminate();
+  }
+});
@@ -0,0 +1,181 @@
+/**
+ * Creates a timeline module that keyframes numeric domain properties over time.
+ *
+ * Tracks are keyed by domain id and property path ('radius', 'center.x', 'phase', ...).
+ * A keyframe is { time, value, easing }, time in seconds; its easing shapes the segment
+ * towards the next keyframe and is an easing name or [x1, y1, x2, y2] cubic-bezier
+ * control points. Before the first and after the last keyframe the value holds.
+ * @param {Object} config - Configuration
+ * @param {Function} config.cubicBezier - (x1, y1, x2, y2, t) easing, as exported by the deformation module
+ * @returns {Object} Timeline module with methods for editing and sampling tracks
+ */
+const createTimelineModule = ({ cubicBezier }) => {
+  const easings = {
+    linear: (t) => t,
+    step: (t) => (t < 1 ? 0 : 1),
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - (1 - t) ** 3,
+    easeInOut: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+    sine: (t) => 0.5 - 0.5 * Math.cos(Math.PI * t)
+  };
+
+  // domainId -> Map(property -> sorted keyframes)
+  const tracks = new Map();
+
+  /**
+   * Registers a custom easing curve
+   * @param {string} name - Easing name
+   * @param {Function} fn - Maps [0, 1] to eased progress, with fn(0) = 0 and fn(1) = 1
+   */
+  const registerEasing = (name, fn) => {
+    if (typeof fn !== 'function') {
+      throw new Error(`TimelineModule: easing "${name}" must be a function`);
+    }
+    easings[name] = fn;
+  };
+
+  const resolveEasing = (easing = 'linear') => {
+    if (Array.isArray(easing)) {
+      const [x1, y1, x2, y2] = easing;
+      return (t) => cubicBezier(x1, y1, x2, y2, t);
+    }
+    if (!easings[easing]) {
+      throw new Error(`TimelineModule: unknown easing "${easing}"`);
+    }
+    return easings[easing];
+  };
+
+  const validateKeyframe = (keyframe) => {
+    if (!keyframe || !Number.isFinite(keyframe.time) || !Number.isFinite(keyframe.value)) {
+      throw new Error('TimelineModule: keyframes need a finite time and value');
+    }
+    resolveEasing(keyframe.easing);
+    return {
+      time: keyframe.time,
+      value: keyframe.value,
+      easing: Array.isArray(keyframe.easing) ? [...keyframe.easing] : keyframe.easing ?? 'linear'
+    };
+  };
+
+  /**
+   * Replaces the keyframes of one property; an empty list removes the track
+   * @param {*} domainId - Domain identifier
+   * @param {string} property - Property path
+   * @param {Array} keyframes - [{ time, value, easing }]
+   */
+  const setKeyframes = (domainId, property, keyframes) => {
+    const sorted = keyframes.map(validateKeyframe).sort((a, b) => a.time - b.time);
+    if (sorted.length === 0) {
+      removeTrack(domainId, property);
+      return;
+    }
+    if (!tracks.has(domainId)) {
+      tracks.set(domainId, new Map());
+    }
+    tracks.get(domainId).set(property, sorted);
+  };
+
+  /**
+   * Removes one property track, or every track of a domain when property is omitted
+   * @param {*} domainId - Domain identifier
+   * @param {string} property - Property path
+   */
+  const removeTrack = (domainId, property) => {
+    const domainTracks = tracks.get(domainId);
+    if (!domainTracks) {
+      return;
+    }
+    if (property === undefined) {
+      tracks.delete(domainId);
+      return;
+    }
+    domainTracks.delete(property);
+    if (domainTracks.size === 0) {
+      tracks.delete(domainId);
+    }
+  };
+
+  /**
+   * Value of a keyframe list at a time
+   * @param {Array} keyframes - Sorted keyframes
+   * @param {number} time - Time in seconds
+   * @returns {number} Interpolated value
+   */
+  const interpolate = (keyframes, time) => {
+    const first = keyframes[0];
+    const last = keyframes[keyframes.length - 1];
+    if (time <= first.time) return first.value;
+    if (time >= last.time) return last.value;
+
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const progress = resolveEasing(from.easing)((time - from.time) / (to.time - from.time));
+    return from.value + (to.value - from.value) * progress;
+  };
+
+  /**
+   * Animated property values of a domain at a time
+   * @param {*} domainId - Domain identifier
+   * @param {number} time - Time in seconds
+   * @returns {Object} { [property]: value }, empty for domains without tracks
+   */
+  const sample = (domainId, time) => {
+    const domainTracks = tracks.get(domainId);
+    if (!domainTracks) {
+      return {};
+    }
+    return Object.fromEntries(
+      [...domainTracks].map(([property, keyframes]) => [property, interpolate(keyframes, time)])
+    );
+  };
+
+  // Time of the last keyframe on any track
+  const getDuration = () => {
+    let duration = 0;
+    tracks.forEach(domainTracks => domainTracks.forEach(keyframes => {
+      duration = Math.max(duration, keyframes[keyframes.length - 1].time);
+    }));
+    return duration;
+  };
+
+  // Plain-data copy of every track: { [domainId]: { [property]: keyframes } }
+  const serialize = () => Object.fromEntries(
+    [...tracks].map(([domainId, domainTracks]) => [
+      domainId,
+      Object.fromEntries([...domainTracks].map(([property, keyframes]) => [property, JSON.parse(JSON.stringify(keyframes))]))
+    ])
+  );
+
+  /**
+   * Replaces every track with serialized data. Object keys are strings, so ids are
+   * matched back through resolveId.
+   * @param {Object} data - Output of serialize
+   * @param {Function} resolveId - Maps a serialized id key to the domain id
+   */
+  const load = (data = {}, resolveId = (key) => key) => {
+    tracks.clear();
+    Object.entries(data).forEach(([key, domainTracks]) => {
+      Object.entries(domainTracks).forEach(([property, keyframes]) => {
+        setKeyframes(resolveId(key), property, keyframes);
+      });
+    });
+  };
+
+  return {
+    getEasings: () => Object.keys(easings),
+    registerEasing,
+    setKeyframes,
+    removeTrack,
+    getKeyframes: (domainId, property) => JSON.parse(JSON.stringify(tracks.get(domainId)?.get(property) || [])),
+    getAnimatedProperties: (domainId) => [...(tracks.get(domainId)?.keys() || [])],
+    getAnimatedDomainIds: () => [...tracks.keys()],
+    sample,
+    getDuration,
+    serialize,
+    load,
+    clear: () => tracks.clear()
+  };
+};
+
+export { createTimelineModule };
@@ -0,0 +1,73 @@
+// Worker entry point for off-thread grid transformation.
+// Runs as a browser module Worker or under Node's worker_threads; see workerModule.js for the client.
+import { createDeformationModule } from './localShapeDeformation.js';
+
+// Points transformed between checks for cancel messages
+const CHUNK_SIZE = 2048;
+
+const deformationModule = createDeformationModule();
+// Jobs being transformed, and those among them asked to stop
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+// Let queued messages (cancellations) run before the next chunk
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Handles one message from the client
+ * @param {Object} message - { type: 'transform', jobId, points, domains, compositionMode } or { type: 'cancel', jobId }
+ * @param {Function} post - Sends a message (and transfer list) back to the client
+ */
+const handleMessage = async (message, post) => {
+  if (message.type === 'cancel') {
+    // Cancels for finished or unknown jobs have nothing to stop
+    if (runningJobs.has(message.jobId)) {
+      cancelledJobs.add(message.jobId);
+    }
+    return;
+  }
+  if (message.type !== 'transform') {
+    return;
+  }
+
+  const { jobId, points, domains, compositionMode } = message;
+  runningJobs.add(jobId);
+  try {
+    const instances = domains.map(config => deformationModule.createDomain(config.type, config));
+    const result = new Float32Array(points.length);
+
+    for (let start = 0; start < points.length; start += CHUNK_SIZE * 2) {
+      if (cancelledJobs.has(jobId)) {
+        post({ type: 'cancelled', jobId });
+        return;
+      }
+
+      const end = Math.min(points.length, start + CHUNK_SIZE * 2);
+      for (let i = start; i < end; i += 2) {
+        const transformed = deformationModule.composeTransform(
+          { x: points[i], y: points[i + 1] },
+          instances,
+          compositionMode
+        );
+        result[i] = transformed.x;
+        result[i + 1] = transformed.y;
+      }
+
+      await yieldToMessages();
+    }
+
+    post({ type: 'result', jobId, points: result }, [result.buffer]);
+  } catch (error) {
+    post({ type: 'error', jobId, message: error.message });
+  } finally {
+    runningJobs.delete(jobId);
+    cancelledJobs.delete(jobId);
+  }
+};
+
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+  self.onmessage = (event) => handleMessage(event.data, (data, transfer) => self.postMessage(data, transfer));
+} else {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort.on('message', (data) => handleMessage(data, (reply, transfer) => parentPort.postMessage(reply, transfer)));
+}
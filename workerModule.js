@@ -0,0 +1,127 @@
+/**
+ * Starts the transform worker in the current environment: a module Worker in
+ * browsers, a worker_threads Worker under Node
+ * @returns {Promise<Object>} Worker instance, ready for createTransformWorkerModule
+ */
+const spawnTransformWorker = async () => {
+  const url = new URL('./transformWorker.js', import.meta.url);
+  if (typeof Worker === 'function') {
+    return new Worker(url, { type: 'module' });
+  }
+  const { Worker: NodeWorker } = await import('node:worker_threads');
+  return new NodeWorker(url);
+};
+
+/**
+ * Creates a client for the transform worker. Jobs send the serialized domain set
+ * with a flat [x0, y0, x1, y1, ...] point array and resolve to a Float32Array of
+ * transformed coordinates in the same layout.
+ *
+ * Only built-in falloff curves and domain types are available inside the worker;
+ * domains using curves registered at runtime make the job reject.
+ * @param {Object} config - Configuration
+ * @param {Object} config.worker - Browser Worker or worker_threads Worker running transformWorker.js
+ * @returns {Object} Worker module with methods for submitting and cancelling jobs
+ */
+const createTransformWorkerModule = ({ worker }) => {
+  // jobId -> { resolve, reject }
+  const pending = new Map();
+  let nextJobId = 1;
+
+  // Rejection reason for cancelled jobs; name matches the DOM convention for aborted work
+  const createCancelledError = (jobId) => {
+    const error = new Error(`TransformWorker: job ${jobId} was cancelled`);
+    error.name = 'AbortError';
+    return error;
+  };
+
+  const handleMessage = ({ type, jobId, points, message }) => {
+    const job = pending.get(jobId);
+    // Results of jobs cancelled on this side may still arrive; drop them
+    if (!job) {
+      return;
+    }
+    pending.delete(jobId);
+
+    if (type === 'result') {
+      job.resolve(points);
+    } else if (type === 'cancelled') {
+      job.reject(createCancelledError(jobId));
+    } else {
+      job.reject(new Error(`TransformWorker: ${message}`));
+    }
+  };
+
+  // A crashed worker fails every job in flight
+  const handleError = (error) => {
+    pending.forEach(job => job.reject(new Error(`TransformWorker: worker failed: ${error.message}`)));
+    pending.clear();
+  };
+
+  if (typeof worker.on === 'function') {
+    worker.on('message', handleMessage);
+    worker.on('error', handleError);
+  } else {
+    worker.onmessage = (event) => handleMessage(event.data);
+    worker.onerror = handleError;
+  }
+
+  /**
+   * Transforms points off the main thread
+   * @param {Float64Array|Float32Array} points - Flat x, y pairs in original space; copied, not transferred
+   * @param {Object} job - Job description
+   * @param {Array} job.domains - Domain instances (anything with serialize())
+   * @param {string} job.compositionMode - Composition mode name
+   * @returns {Promise<Float32Array>} Transformed coordinates; rejects with an AbortError when cancelled
+   */
+  const transformPoints = (points, { domains, compositionMode }) => {
+    const jobId = nextJobId++;
+    return new Promise((resolve, reject) => {
+      pending.set(jobId, { resolve, reject });
+      worker.postMessage({
+        type: 'transform',
+        jobId,
+        points,
+        domains: domains.map(domain => domain.serialize()),
+        compositionMode
+      });
+    });
+  };
+
+  /**
+   * Cancels a pending job; its promise rejects immediately and the worker stops at its next chunk
+   * @param {number} jobId - Job identifier
+   * @returns {boolean} True if the job was still pending
+   */
+  const cancel = (jobId) => {
+    const job = pending.get(jobId);
+    if (!job) {
+      return false;
+    }
+    pending.delete(jobId);
+    worker.postMessage({ type: 'cancel', jobId });
+    job.reject(createCancelledError(jobId));
+    return true;
+  };
+
+  // Cancel every pending job
+  const cancelAll = () => {
+    [...pending.keys()].forEach(cancel);
+  };
+
+  // Cancel pending jobs and stop the worker
+  const terminate = () => {
+    cancelAll();
+    return worker.terminate();
+  };
+
+  return {
+    transformPoints,
+    cancel,
+    cancelAll,
+    terminate,
+    getPendingJobs: () => [...pending.keys()]
+  };
+};
+
+export { createTransformWorkerModule, spawnTransformWorker };